@@ -0,0 +1,144 @@
+"use strict";
+
+/*
+ * Measures the overhead of creating scope containers (e.g. one per HTTP request) using a
+ * factory registered in the app container, with many wiring modules composed. Modules with
+ * empty adjusters isolate the overhead of the wiring itself from that of registering beans.
+ *
+ * Even with empty adjusters, each scope container registers its parentContainer, appContainer
+ * and bootContainer beans, and registering a bean (with the records kept for provenance,
+ * disposal and re-instantiation) costs a few microseconds, so those three registrations make
+ * up most of the cost of creating one (they roughly doubled it when they were added). That
+ * bookkeeping likewise accounts for most of the added cost with modules which register beans.
+ *
+ * Usage: node benchmark/scope-creation.js [moduleCount] [iterations]
+ */
+
+const { StructuredWiringBuilder } = require('..');
+
+const moduleCount = Number(process.argv[2]) || 50;
+const iterations = Number(process.argv[3]) || 20000;
+
+function emptyModuleWiring(index) {
+	const builder = new StructuredWiringBuilder();
+
+	builder.adjustAppContainer(async function moduleAppContainer() {});
+	builder.adjustScopeContainer(async function moduleAllScopes() {});
+	builder.adjustScopeContainer('Request', async function moduleRequestScope() {});
+
+	builder.declareModule(`module${index}`, '1.0.0');
+
+	return builder.build();
+}
+
+function moduleWiring(index) {
+	const builder = new StructuredWiringBuilder();
+
+	builder.adjustAppContainer(async function moduleAppContainer(container) {
+		const { register, value } = container;
+
+		register(`service${index}`, value({ index }));
+	});
+
+	builder.adjustScopeContainer(async function moduleAllScopes(container, appContainer) {
+		const { register, value } = container;
+
+		register(`appContainer${index}`, value(appContainer));
+	});
+
+	builder.adjustScopeContainer('Request', async function moduleRequestScope(container) {
+		const { register, factory, bean } = container;
+
+		register(`handler${index}`, factory((service) => ({ service })),
+				bean(`appContainer${index}.service${index}`));
+	});
+
+	builder.declareModule(`module${index}`, '1.0.0');
+
+	return builder.build();
+}
+
+function applicationWiring(moduleWiring, moduleCount) {
+	const builder = new StructuredWiringBuilder();
+
+	for (let index = 0; index < moduleCount; index++) {
+		/*
+		 * Half the modules are added directly, and half by a base wiring adjuster.
+		 */
+		if (index % 2) {
+			builder.addWiring(moduleWiring(index));
+		} else {
+			builder.adjustBaseWiring(async (addWiring) => {
+				addWiring(moduleWiring(index));
+			});
+		}
+	}
+
+	builder.adjustAppContainer(async function applicationAppContainer(container) {
+		const { register, factory, bean, value } = container;
+
+		register('app', value('app'));
+		register('createRequestContainer', factory(bean('wiring.createScopeContainerFactory')),
+				value('Request'), value(container));
+	});
+
+	return builder.build();
+}
+
+async function measure(label, iterations, operation) {
+	/*
+	 * Warm up so the JIT has settled before timing.
+	 */
+	for (let i = 0; i < Math.min(iterations, 1000); i++) {
+		await operation();
+	}
+
+	const start = process.hrtime.bigint();
+	for (let i = 0; i < iterations; i++) {
+		await operation();
+	}
+	const elapsed = Number(process.hrtime.bigint() - start) / 1e3;
+
+	console.log(`${label}: ${(elapsed / iterations).toFixed(2)} µs per operation ` +
+			`(${iterations} iterations)`);
+}
+
+async function createRequestContainerFactory(moduleWiring) {
+	const appContainer = await applicationWiring(moduleWiring, moduleCount).createAppContainer();
+
+	return await appContainer.get('createRequestContainer');
+}
+
+async function main() {
+	console.log(`${moduleCount} modules composed`);
+
+	const createEmptyRequestContainer = await createRequestContainerFactory(emptyModuleWiring);
+
+	/*
+	 * Each request container is disposed, as it would be at the end of a request, so open
+	 * containers don't pile up (and slow down later iterations) while measuring.
+	 */
+	await measure("create and dispose request container with empty adjusters", iterations,
+			async () => {
+				const requestContainer = await createEmptyRequestContainer();
+				await requestContainer.dispose();
+			});
+
+	const createRequestContainer = await createRequestContainerFactory(moduleWiring);
+
+	await measure("create and dispose request container", iterations, async () => {
+		const requestContainer = await createRequestContainer();
+		await requestContainer.dispose();
+	});
+
+	await measure("create request container, get a bean and dispose", iterations, async () => {
+		const requestContainer = await createRequestContainer();
+		await requestContainer.get('handler0');
+		await requestContainer.dispose();
+	});
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
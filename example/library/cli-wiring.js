@@ -13,6 +13,9 @@ exports.cliWiring = function() {
 		register('cliArguments', value(process.argv.slice(2)));
 	});
 
+	builder.provideBeans('Boot', ['cliArguments']);
+	builder.declareModule('cli', '1.0.0');
+
 	return builder.build();
 
 };
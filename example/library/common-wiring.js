@@ -12,20 +12,25 @@ exports.commonWiring = function() {
 		register('config', value({}));
 	});
 
-	builder.adjustAppContainer(async function commonWiringAppContainer(container) {
-		const { register, bean, factory, value } = container;
+	builder.adjustAppContainer(async function commonWiringAppContainer(container, bootContainer) {
+		const { register, bean, factory, fallBackTo, value } = container;
 
-		register('config', bean('bootContainer.config'));
+		fallBackTo(bootContainer);
 		register('createRequestContainer', factory(bean('wiring.createScopeContainerFactory')),
 				value('Request'), value(container));
 	});
 
 	builder.adjustScopeContainer(async function commonWiringAllScopes(container, appContainer) {
-		const { register, value } = container;
+		const { fallBackTo } = container;
 
-		register('appContainer', value(appContainer));
+		fallBackTo(appContainer);
 	});
 
+	builder.requireArguments('Scope', ['appContainer']);
+	builder.provideBeans('Boot', ['config']);
+	builder.provideBeans('App', ['config', 'createRequestContainer']);
+	builder.declareModule('common', '1.0.0');
+
 	return builder.build();
 
 };
@@ -26,11 +26,8 @@ exports.consoleWiring = function(options) {
 		}
 	});
 
-	builder.adjustScopeContainer(async function consoleWiringAllScopes(container) {
-		const { register, bean } = container;
-
-		register('console', bean('appContainer.console'));
-	});
+	builder.provideBeans('App', ['console', 'emphasise']);
+	builder.declareModule('console', '1.0.0');
 
 	return builder.build();
 
@@ -1,9 +1,6 @@
 "use strict";
 
 require('./wiring') // or require('./unmodularised-wiring')
-.createBootContainer({
+.run({
 	emphasisColour: "magenta"
-})
-.then((container) => container.get('app'))
-.then((app) => app.run())
-.catch(console.error);
+});
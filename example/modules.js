@@ -17,6 +17,7 @@ exports.App = class App {
 			const container = await this.createRequestContainer(name);
 			const greeter = await container.get('greeter');
 			await greeter.greet();
+			await container.dispose();
 		}
 	}
 };
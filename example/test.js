@@ -1,45 +1,25 @@
 "use strict";
 
 const expect = require('chai').expect;
-const { StructuredWiringBuilder } = require('..');
-const builder = new StructuredWiringBuilder(require('./wiring'));
+const { TestWiringBuilder } = require('..');
+const builder = new TestWiringBuilder(require('./wiring'));
 
-let inputArgs;
-let outputMessages;
-
-builder.adjustBootContainer(async function (container) {
-	const { register, replacement, factory } = container;
-
-	register(replacement('cliArguments'), factory(() => inputArgs));
-});
-
-builder.adjustAppContainer(async function (container) {
-	const { register, replacement, value } = container;
-
-	register(replacement('console'), value({
-		log(message) { outputMessages.push(message); }
-	}));
-});
+builder.replaceBean('Boot', 'cliArguments', (bootOptions) => bootOptions.cliArguments);
+builder.replaceBean('App', 'console', () => ({ log() {} }));
+builder.spyOnBean('App', 'console');
 
 const wiring = builder.build();
 
 describe("hello, world!", function () {
 
-	beforeEach(function () {
-		inputArgs = [];
-		outputMessages = [];
-	});
-
 	it("works correctly without colour", async function () {
-		inputArgs = ["John", "Howard"];
-
-		const container = await wiring.createBootContainer({})
+		const container = await wiring.createBootContainer({ cliArguments: ["John", "Howard"] });
 		const app = await container.get('app');
 		await app.run();
 
-		expect(outputMessages).to.deep.equal([
-			"Hello, John!",
-			"Hello, Howard!"
+		expect(builder.calls('App', 'console')).to.deep.equal([
+			{ method: 'log', args: ["Hello, John!"] },
+			{ method: 'log', args: ["Hello, Howard!"] }
 		]);
 	});
 
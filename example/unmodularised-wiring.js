@@ -36,7 +36,6 @@ builder.adjustAppContainer(async function helloWorldAppContainer(container, boot
 builder.adjustScopeContainer('Request', async function helloWorldRequestScope(container, appContainer, name) {
 	const { register, bean, constructor, bound, value } = container;
 
-	register('appContainer', value(appContainer));
 	register('greeter', constructor(modules.Greeter),
 			bound('console.log'), bean('appContainer.emphasise'), value(name));
 	register('console', bean('appContainer.console'));
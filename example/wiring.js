@@ -38,7 +38,7 @@ builder.adjustScopeContainer('Request', async function helloWorldRequestScope(co
 	const { register, bean, constructor, bound, value } = container;
 
 	register('greeter', constructor(modules.Greeter),
-			bound('console.log'), bean('appContainer.emphasise'), value(name));
+			bound('console.log'), bean('emphasise'), value(name));
 });
 
 module.exports = builder.build();
@@ -0,0 +1,74 @@
+"use strict";
+
+/*
+ * Registry of stubs automatically generated for beans which are requested from containers but
+ * never registered (and for declared container arguments which are not passed), recording
+ * which were touched and the calls made to them.
+ */
+exports.AutoStubs = class AutoStubs {
+
+	constructor() {
+		this._names = [];
+		this._calls = new Map();
+	}
+
+	names() {
+		return this._names.slice();
+	}
+
+	calls(name) {
+		return (this._calls.get(name) || []).slice();
+	}
+
+	_createStub(name) {
+		if (!this._names.includes(name)) {
+			this._names.push(name);
+			this._calls.set(name, []);
+		}
+
+		const autoStubs = this;
+		const properties = new Map();
+
+		/*
+		 * Stubs are functions so they can be called, and have a stub for every property so
+		 * they can stand in for objects (including containers, so dotted bean names work).
+		 * They are not thenable, or awaiting them would never finish, and they can be bound
+		 * (as bound() injection does) without touching their name and length properties.
+		 */
+		const stub = new Proxy(function stub() {}, {
+			apply(target, thisArg, args) {
+				autoStubs._calls.get(name).push({ args });
+			},
+			get(target, property) {
+				if (properties.has(property)) {
+					return properties.get(property);
+				}
+
+				if (property === Symbol.toPrimitive) {
+					return () => `[stub ${name}]`;
+				}
+
+				if (property === 'bind') {
+					return (thisArg, ...boundArgs) => (...args) => stub(...boundArgs, ...args);
+				}
+
+				if (typeof property === 'symbol' || property === 'then') {
+					return undefined;
+				}
+
+				const propertyStub = autoStubs._createStub(`${name}.${property}`);
+				properties.set(property, propertyStub);
+
+				return propertyStub;
+			},
+			set(target, property, value) {
+				properties.set(property, value);
+
+				return true;
+			}
+		});
+
+		return stub;
+	}
+
+};
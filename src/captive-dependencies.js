@@ -0,0 +1,51 @@
+"use strict";
+
+const { findCaptiveDependencies } = require('./validation');
+
+/*
+ * Registry of captive dependencies (see findCaptiveDependencies) found as beans are created,
+ * each capture reported once (for each type of container), when first found.
+ */
+exports.CaptiveDependencies = class CaptiveDependencies {
+
+	constructor(onCaptiveDependency) {
+		this._onCaptiveDependency = onCaptiveDependency;
+		this._problems = [];
+		this._reported = new Set();
+
+		/*
+		 * The names of beans already checked, keyed by container.
+		 */
+		this._checked = new WeakMap();
+	}
+
+	problems() {
+		return this._problems.slice();
+	}
+
+	_check(container, name) {
+		if (!this._checked.has(container)) {
+			this._checked.set(container, new Set());
+		}
+
+		const checked = this._checked.get(container);
+		const beanName = name.split('.')[0];
+		if (checked.has(beanName) || !container._registrationRecords.has(beanName)) {
+			return;
+		}
+
+		checked.add(beanName);
+
+		findCaptiveDependencies(container, [beanName]).forEach((problem) => {
+			const key = `${problem.containerType} ${problem.path.slice(-2).join(' ')}`;
+			if (this._reported.has(key)) {
+				return;
+			}
+
+			this._reported.add(key);
+			this._problems.push(problem);
+			this._onCaptiveDependency(problem);
+		});
+	}
+
+};
@@ -0,0 +1,342 @@
+"use strict";
+
+const fs = require('fs');
+const { StructuredWiringBuilder } = require('./structured-wiring');
+
+const CONFIGURATION_MODULE = 'modular-async-di/configuration';
+
+const TYPES = ['string', 'number', 'boolean', 'json'];
+
+const MASK = '****';
+
+exports.configurationWiring = function ({
+	files = [],
+	envFiles = [],
+	environmentPrefix = '',
+	environment = process.env,
+	cliArguments = process.argv.slice(2)
+} = {}) {
+	if (!_isStringArray(files) || !_isStringArray(envFiles)) {
+		throw new TypeError("invalid configuration files");
+	}
+
+	if (typeof environmentPrefix !== 'string') {
+		throw new TypeError("invalid environment prefix");
+	}
+
+	const builder = new StructuredWiringBuilder();
+
+	builder.adjustBootContainer(async function configurationBootContainer(container) {
+		const { register, factory, value } = container;
+
+		register('configSources', factory(_loadSources), value({
+			files,
+			envFiles,
+			environmentPrefix,
+			environment,
+			cliArguments
+		}));
+		register('configReport', factory((config, sources) => sources.report.slice()
+		.sort((a, b) => a.key.localeCompare(b.key))), 'config', 'configSources');
+	});
+
+	/*
+	 * Other wiring (e.g. common wiring) may register the config bean, as an empty object for
+	 * modules to add sections to, in which case it is used. This runs after the adjusters
+	 * without ordering constraints (but before spies, which have the highest priority), so it
+	 * doesn't matter whether that wiring is added before or after this, and sections, which
+	 * run after this module, are always added to the config bean which is used.
+	 */
+	builder.adjustBootContainer(async function configurationConfigBean(container) {
+		const { register, isRegistered, value } = container;
+
+		if (!isRegistered('config')) {
+			register('config', value({}));
+		}
+	}, { priority: Number.MAX_SAFE_INTEGER - 1 });
+
+	builder.provideBeans('Boot', ['config', 'configSources', 'configReport']);
+	builder.declareModule(CONFIGURATION_MODULE);
+
+	return builder.build();
+};
+
+exports.configSectionWiring = function (section, schema) {
+	if (typeof section !== 'string' || !/^[A-Za-z0-9_]+$/.test(section)) {
+		throw new TypeError("invalid configuration section");
+	}
+
+	if (!_isValidSchema(schema)) {
+		throw new TypeError("invalid configuration schema");
+	}
+
+	const builder = new StructuredWiringBuilder();
+
+	/*
+	 * The section is a property of the config bean, so must be registered after it.
+	 */
+	const configSection = async (container) => {
+		const { register, factory, value } = container;
+
+		register(`config.${section}`, factory(_resolveSection), 'configSources', value(section),
+				value(schema));
+	};
+	Object.defineProperty(configSection, 'name', { value: `${section}ConfigSection` });
+
+	builder.adjustBootContainer(configSection, { after: [CONFIGURATION_MODULE] });
+	builder.requireBeans('Boot', ['configSources']);
+
+	return builder.build();
+};
+
+/*
+ * Sources are read once, and shared by all sections, which also record where their values came
+ * from in the report.
+ */
+async function _loadSources(options) {
+	const files = [];
+	for (const path of options.files) {
+		const content = await _readOptionalFile(path);
+		if (content !== null) {
+			files.push({ path, values: _parseJson(path, content) });
+		}
+	}
+
+	const envFiles = [];
+	for (const path of options.envFiles) {
+		const content = await _readOptionalFile(path);
+		if (content !== null) {
+			envFiles.push({ path, variables: _parseEnvFile(content) });
+		}
+	}
+
+	return {
+		files,
+		envFiles,
+		environmentPrefix: options.environmentPrefix,
+		environment: options.environment,
+		flags: _parseCliArguments(options.cliArguments),
+		report: []
+	};
+}
+
+async function _readOptionalFile(path) {
+	try {
+		return await fs.promises.readFile(path, 'utf8');
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return null;
+		}
+
+		throw error;
+	}
+}
+
+function _parseJson(path, content) {
+	try {
+		return JSON.parse(content);
+	} catch (error) {
+		throw new SyntaxError(`invalid JSON in configuration file ${path}: ${error.message}`);
+	}
+}
+
+function _parseEnvFile(content) {
+	const variables = {};
+
+	content.split(/\r?\n/).forEach((line) => {
+		const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+		if (!match || line.trim().startsWith('#')) {
+			return;
+		}
+
+		const [, name, rawValue] = match;
+		const quoted = /^(["'])(.*)\1$/.exec(rawValue);
+
+		variables[name] = quoted ? quoted[2] : rawValue;
+	});
+
+	return variables;
+}
+
+/*
+ * Flags are --name=value, --name (true) or --no-name (false). Anything else (e.g. positional
+ * arguments) is left for the application.
+ */
+function _parseCliArguments(cliArguments) {
+	const flags = new Map();
+
+	cliArguments.forEach((cliArgument) => {
+		const match = /^--([^=]+?)(?:=(.*))?$/.exec(cliArgument);
+		if (!match) {
+			return;
+		}
+
+		const [, name, flagValue] = match;
+
+		if (typeof flagValue !== 'undefined') {
+			flags.set(name, { value: flagValue, argument: cliArgument });
+		} else if (name.startsWith('no-')) {
+			flags.set(name.slice('no-'.length), { value: 'false', argument: cliArgument });
+		} else {
+			flags.set(name, { value: 'true', argument: cliArgument });
+		}
+	});
+
+	return flags;
+}
+
+/*
+ * Later layers take precedence: defaults, JSON files, .env files, environment variables, then
+ * command line flags.
+ */
+function _resolveSection(sources, section, schema) {
+	const resolved = {};
+	const problems = [];
+
+	sources.files.forEach(({ path, values }) => {
+		const sectionValues = values && values[section];
+		if (sectionValues && typeof sectionValues === 'object') {
+			Object.keys(sectionValues)
+			.filter((key) => !Object.prototype.hasOwnProperty.call(schema, key))
+			.forEach((key) => {
+				problems.push(`${section}.${key}: unknown setting in ${path}`);
+			});
+		}
+	});
+
+	Object.entries(schema).forEach(([key, setting]) => {
+		const name = `${section}.${key}`;
+		const type = setting.type || 'string';
+		const variable = setting.env || sources.environmentPrefix +
+				`${_toEnvironmentName(section)}_${_toEnvironmentName(key)}`;
+		const flag = [name, setting.flag].find((candidate) => sources.flags.has(candidate));
+
+		const layers = [
+			{ value: setting.default, source: 'default', raw: false }
+		];
+		sources.files.forEach(({ path, values }) => {
+			const sectionValues = values && values[section];
+			layers.push({ value: sectionValues ? sectionValues[key] : undefined, source: path,
+					raw: false });
+		});
+		sources.envFiles.forEach(({ path, variables }) => {
+			layers.push({ value: variables[variable], source: `${path} ${variable}`, raw: true });
+		});
+		layers.push({ value: sources.environment[variable],
+				source: `environment variable ${variable}`, raw: true });
+		if (flag) {
+			const { value, argument } = sources.flags.get(flag);
+			layers.push({ value, source: `command line ${argument.split('=')[0]}`, raw: true });
+		}
+
+		const layer = layers.filter((candidate) => typeof candidate.value !== 'undefined').pop();
+
+		if (!layer) {
+			if (setting.required) {
+				problems.push(`${name}: required but not set`);
+			}
+
+			return;
+		}
+
+		let value;
+		try {
+			value = _coerce(layer.value, type, layer.raw);
+		} catch (error) {
+			/*
+			 * The message includes the value, which must not be shown if it is secret.
+			 */
+			problems.push(`${name}: ${setting.secret ? `expected ${type}` : error.message} ` +
+					`(from ${layer.source})`);
+			return;
+		}
+
+		const validity = setting.validate ? setting.validate(value) : true;
+		if (validity !== true) {
+			problems.push(`${name}: ${typeof validity === 'string' ? validity : "invalid value"} ` +
+					`(from ${layer.source})`);
+			return;
+		}
+
+		resolved[key] = value;
+		sources.report.push({
+			key: name,
+			value: setting.secret ? MASK : value,
+			source: layer.source
+		});
+	});
+
+	if (problems.length) {
+		const error = new RangeError(`invalid configuration:\n` +
+				problems.map((problem) => `  ${problem}`).join('\n'));
+		error.problems = problems;
+
+		throw error;
+	}
+
+	return resolved;
+}
+
+function _coerce(value, type, raw) {
+	if (type === 'json') {
+		return raw ? _parseJsonValue(value) : value;
+	}
+
+	if (!raw) {
+		if (typeof value !== type) {
+			throw new TypeError(`expected ${type} but got ${JSON.stringify(value)}`);
+		}
+
+		return value;
+	}
+
+	if (type === 'number') {
+		const number = Number(value);
+		if (value.trim() === '' || Number.isNaN(number)) {
+			throw new TypeError(`expected number but got '${value}'`);
+		}
+
+		return number;
+	}
+
+	if (type === 'boolean') {
+		if (['true', '1', 'yes'].includes(value.toLowerCase())) {
+			return true;
+		}
+
+		if (['false', '0', 'no'].includes(value.toLowerCase())) {
+			return false;
+		}
+
+		throw new TypeError(`expected boolean but got '${value}'`);
+	}
+
+	return value;
+}
+
+function _parseJsonValue(value) {
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		throw new TypeError(`expected JSON but got '${value}'`);
+	}
+}
+
+function _toEnvironmentName(name) {
+	return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function _isStringArray(strings) {
+	return Array.isArray(strings) && strings.every((string) => typeof string === 'string');
+}
+
+function _isValidSchema(schema) {
+	return typeof schema === 'object' && schema !== null &&
+			Object.values(schema).every((setting) =>
+					typeof setting === 'object' && setting !== null &&
+					(typeof setting.type === 'undefined' || TYPES.includes(setting.type)) &&
+					(typeof setting.env === 'undefined' || typeof setting.env === 'string') &&
+					(typeof setting.flag === 'undefined' || typeof setting.flag === 'string') &&
+					(typeof setting.validate === 'undefined' ||
+							typeof setting.validate === 'function'));
+}
@@ -0,0 +1,350 @@
+"use strict";
+
+const { Wiring } = require('./wiring');
+const { ManagedContainer } = require('./managed-container');
+
+const FORMATS = {
+	dot: _toDot,
+	mermaid: _toMermaid
+};
+
+exports.exportWiringGraph = function (source, format = 'dot') {
+	if (!FORMATS[format]) {
+		throw new RangeError(`graph format '${format}' unknown`);
+	}
+
+	let graph;
+	if (source instanceof ManagedContainer) {
+		graph = _graphContainer(source);
+	} else if (Wiring.isWiring(source)) {
+		graph = _graphWiring(source);
+	} else {
+		throw new TypeError("invalid wiring or container");
+	}
+
+	return FORMATS[format](graph);
+};
+
+/*
+ * A graph is a list of nodes (each with an id, label, kind, and optional cluster) and a list of
+ * edges (each with from and to ids, a label and a kind). Clusters are lists of node ids with a
+ * label, used to group beans by the container holding them.
+ */
+class Graph {
+
+	constructor() {
+		this.nodes = new Map();
+		this.edges = [];
+		this.clusters = new Map();
+	}
+
+	addNode(key, label, kind, cluster) {
+		if (!this.nodes.has(key)) {
+			this.nodes.set(key, { id: `n${this.nodes.size}`, label, kind });
+
+			if (cluster) {
+				this.clusters.get(cluster).nodes.push(key);
+			}
+		}
+
+		return this.nodes.get(key).id;
+	}
+
+	addCluster(key, label) {
+		if (!this.clusters.has(key)) {
+			this.clusters.set(key, { id: `c${this.clusters.size}`, label, nodes: [] });
+		}
+	}
+
+	addEdge(from, to, label, kind) {
+		const exists = this.edges.some((edge) =>
+				edge.from === from && edge.to === to && edge.label === label);
+
+		if (!exists) {
+			this.edges.push({ from, to, label, kind });
+		}
+	}
+
+}
+
+function _graphWiring(wiring, graph = new Graph()) {
+	const { containerTypes } = wiring.describe();
+
+	containerTypes.forEach(({ containerType, parent }) => {
+		const typeNode = _addContainerTypeNode(graph, containerType);
+
+		if (parent) {
+			graph.addEdge(typeNode, _addContainerTypeNode(graph, parent), "inherits", 'hierarchy');
+		}
+	});
+
+	containerTypes.forEach(({ containerType, adjusters }) => {
+		const typeNode = _addContainerTypeNode(graph, containerType);
+
+		const addAdjusters = (adjusters, supplier) => {
+			adjusters.forEach((adjuster) => {
+				const adjusterNode = _addAdjusterNode(graph, adjuster);
+
+				if (supplier) {
+					graph.addEdge(supplier, adjusterNode, "supplies", 'supply');
+				}
+
+				if (!adjuster.wiringAdjuster) {
+					graph.addEdge(adjusterNode, typeNode, `adjusts #${adjuster.position}`,
+							'adjustment');
+				}
+
+				if (adjuster.wiringAdjuster) {
+					addAdjusters(adjuster.suppliedAdjusters, adjusterNode);
+				}
+			});
+		};
+
+		addAdjusters(adjusters, null);
+	});
+
+	return graph;
+}
+
+function _graphContainer(container) {
+	const graph = container._wiring ? _graphWiring(container._wiring) : new Graph();
+
+	const containers = _reachableContainers(container);
+
+	containers.forEach((reachable, index) => {
+		const label = _countOfType(containers, reachable.containerType) > 1 ?
+				`${reachable.containerType} container #${index + 1}` :
+				`${reachable.containerType} container`;
+
+		graph.addCluster(reachable, label);
+	});
+
+	containers.forEach((reachable) => {
+		reachable._registrationRecords.forEach((record) => {
+			/*
+			 * Every container has the wiring bean, and it's only used to create containers,
+			 * which is shown more directly.
+			 */
+			if (record.name === 'wiring') {
+				return;
+			}
+
+			const beanNode = _addBeanNode(graph, reachable, record.name);
+
+			record.dependencies.forEach((dependency, index) => {
+				if (!dependency.name) {
+					return;
+				}
+
+				const creation = index === 0 && reachable._wiring &&
+						reachable._wiring._describeContainerCreation(record);
+				if (creation) {
+					graph.addEdge(beanNode,
+							_addContainerTypeNode(graph, creation.containerType),
+							"creates", 'creation');
+					return;
+				}
+
+				const [target, targetName] = reachable._locateBean(dependency.name);
+				if (target === reachable && targetName === 'wiring') {
+					return;
+				}
+
+				graph.addEdge(beanNode, _addBeanNode(graph, target, targetName),
+						record.creator === 'alias' ? "alias" : "", target === reachable ?
+						'dependency' : 'reference');
+			});
+		});
+	});
+
+	return graph;
+}
+
+/*
+ * Containers which the given one holds as beans, either as values, or because it created them
+ * (or both), or falls back to, and the containers those hold, and so on.
+ */
+function _reachableContainers(container) {
+	const reachable = [container];
+
+	for (let i = 0; i < reachable.length; i++) {
+		const fallbackContainer = reachable[i]._fallbackContainer;
+
+		reachable[i]._heldContainers().concat(fallbackContainer ? [fallbackContainer] : [])
+		.forEach((held) => {
+			if (!reachable.includes(held)) {
+				reachable.push(held);
+			}
+		});
+	}
+
+	return reachable;
+}
+
+function _countOfType(containers, containerType) {
+	return containers.filter((container) => container.containerType === containerType).length;
+}
+
+function _addContainerTypeNode(graph, containerType) {
+	return graph.addNode(`type:${containerType}`, containerType, 'containerType');
+}
+
+function _addAdjusterNode(graph, adjuster) {
+	/*
+	 * Adjusters are only known by name (within their module), so anonymous ones can't be
+	 * identified across container types, and each is given its own node. Adjusters belonging to
+	 * a module are grouped in a cluster for it, so same-named adjusters of different modules
+	 * can be told apart.
+	 */
+	const key = adjuster.name ?
+			`adjuster:${adjuster.module || ''}:${adjuster.name}` : Symbol('anonymous adjuster');
+
+	let cluster = null;
+	if (adjuster.module) {
+		cluster = `module:${adjuster.module}`;
+		graph.addCluster(cluster, `${adjuster.module} module`);
+	}
+
+	/*
+	 * Profile wiring adjusters show their profile, and whether it is active (once chosen).
+	 */
+	let label = adjuster.name || "(anonymous)";
+	if (adjuster.profile) {
+		const activity = adjuster.active === null ? '' :
+				adjuster.active ? ', active' : ', inactive';
+		label += ` (${adjuster.profile} profile${activity})`;
+	}
+
+	return graph.addNode(key, label,
+			adjuster.wiringAdjuster ? 'wiringAdjuster' : 'containerAdjuster', cluster);
+}
+
+/*
+ * Beans are normally located in reachable containers, which are already clustered, but any
+ * other container is given a cluster of its own rather than being left out.
+ */
+function _addBeanNode(graph, container, name) {
+	graph.addCluster(container, `${container.containerType} container`);
+
+	const key = `bean:${graph.clusters.get(container).id}:${name}`;
+	const kind = container._registrationRecords.has(name) ? 'bean' : 'missingBean';
+
+	return graph.addNode(key, name, kind, container);
+}
+
+const DOT_NODE_ATTRIBUTES = {
+	containerType: 'shape=box3d',
+	containerAdjuster: 'shape=ellipse',
+	wiringAdjuster: 'shape=ellipse, style=dashed',
+	bean: 'shape=box',
+	missingBean: 'shape=box, style=dashed, color=red'
+};
+
+const DOT_EDGE_ATTRIBUTES = {
+	hierarchy: 'style=dashed',
+	supply: 'style=dotted',
+	adjustment: '',
+	creation: 'style=bold',
+	dependency: '',
+	reference: 'color=blue'
+};
+
+function _toDot(graph) {
+	const lines = ['digraph wiring {', '\trankdir=LR;'];
+
+	const clustered = new Set();
+	graph.clusters.forEach((cluster) => {
+		lines.push(`\tsubgraph cluster_${cluster.id} {`);
+		lines.push(`\t\tlabel=${_quote(cluster.label)};`);
+		cluster.nodes.forEach((key) => {
+			clustered.add(key);
+			lines.push(`\t\t${_dotNode(graph.nodes.get(key))}`);
+		});
+		lines.push('\t}');
+	});
+
+	graph.nodes.forEach((node, key) => {
+		if (!clustered.has(key)) {
+			lines.push(`\t${_dotNode(node)}`);
+		}
+	});
+
+	graph.edges.forEach((edge) => {
+		const attributes = [DOT_EDGE_ATTRIBUTES[edge.kind]];
+		if (edge.label) {
+			attributes.push(`label=${_quote(edge.label)}`);
+		}
+		const attributeList = attributes.filter(Boolean).join(', ');
+
+		lines.push(`\t${edge.from} -> ${edge.to}` +
+				(attributeList ? ` [${attributeList}]` : '') + ';');
+	});
+
+	lines.push('}');
+
+	return lines.join('\n') + '\n';
+}
+
+function _dotNode(node) {
+	return `${node.id} [label=${_quote(node.label)}, ${DOT_NODE_ATTRIBUTES[node.kind]}];`;
+}
+
+function _quote(text) {
+	return `"${text.replace(/["\\]/g, '\\$&')}"`;
+}
+
+const MERMAID_NODE_SHAPES = {
+	containerType: ['[[', ']]'],
+	containerAdjuster: ['([', '])'],
+	wiringAdjuster: ['{{', '}}'],
+	bean: ['[', ']'],
+	missingBean: ['>', ']']
+};
+
+const MERMAID_EDGE_ARROWS = {
+	hierarchy: '-.->',
+	supply: '-.->',
+	adjustment: '-->',
+	creation: '==>',
+	dependency: '-->',
+	reference: '-->'
+};
+
+function _toMermaid(graph) {
+	const lines = ['flowchart LR'];
+
+	const clustered = new Set();
+	graph.clusters.forEach((cluster) => {
+		lines.push(`\tsubgraph ${cluster.id} [${_mermaidText(cluster.label)}]`);
+		cluster.nodes.forEach((key) => {
+			clustered.add(key);
+			lines.push(`\t\t${_mermaidNode(graph.nodes.get(key))}`);
+		});
+		lines.push('\tend');
+	});
+
+	graph.nodes.forEach((node, key) => {
+		if (!clustered.has(key)) {
+			lines.push(`\t${_mermaidNode(node)}`);
+		}
+	});
+
+	graph.edges.forEach((edge) => {
+		const arrow = MERMAID_EDGE_ARROWS[edge.kind];
+		const label = edge.label ? `|${_mermaidText(edge.label)}|` : '';
+
+		lines.push(`\t${edge.from} ${arrow}${label} ${edge.to}`);
+	});
+
+	return lines.join('\n') + '\n';
+}
+
+function _mermaidNode(node) {
+	const [open, close] = MERMAID_NODE_SHAPES[node.kind];
+
+	return `${node.id}${open}${_mermaidText(node.label)}${close}`;
+}
+
+function _mermaidText(text) {
+	return `"${text.replace(/"/g, '#quot;')}"`;
+}
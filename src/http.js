@@ -0,0 +1,289 @@
+"use strict";
+
+const http = require('http');
+const { finished } = require('stream');
+const { StructuredWiringBuilder } = require('./structured-wiring');
+
+const HTTP_MODULE = 'modular-async-di/http';
+
+/*
+ * Request targets are parsed against a fixed origin, rather than the Host header, which is
+ * chosen by the client (and may not even be a valid host).
+ */
+const REQUEST_ORIGIN = 'http://localhost';
+
+/*
+ * An HTTP server which creates a request scope container for each request it receives, and
+ * calls the handler bean (in that container) of the first route matching the request. The
+ * container is disposed once the response has finished.
+ */
+class HttpServer {
+
+	constructor(createRequestContainer, routes, { port, host, reportError }) {
+		if (!Array.isArray(routes) || !routes.every(_isValidRoute)) {
+			throw new TypeError("invalid routes");
+		}
+
+		this._createRequestContainer = createRequestContainer;
+		this._routes = routes.map((route) => ({ ...route, pattern: _compilePath(route.path) }));
+		this._port = port;
+		this._host = host;
+		this._reportError = reportError;
+
+		this._server = null;
+	}
+
+	async start() {
+		const server = http.createServer((request, response) => this._handle(request, response));
+
+		await new Promise((resolve, reject) => {
+			server.once('error', reject);
+			server.listen(this._port, this._host, () => {
+				server.removeListener('error', reject);
+				resolve();
+			});
+		});
+
+		this._server = server;
+	}
+
+	/*
+	 * Stops accepting connections, and waits for requests in flight to finish (idle keep-alive
+	 * connections are closed, since they would otherwise hold the server open).
+	 */
+	async stop() {
+		const server = this._server;
+		if (!server) {
+			return;
+		}
+
+		this._server = null;
+
+		await new Promise((resolve, reject) => {
+			server.close((error) => error ? reject(error) : resolve());
+			server.closeIdleConnections();
+		});
+	}
+
+	/*
+	 * The disposal hook, so a server which is still listening when the app container is
+	 * disposed (e.g. because the lifecycle was never stopped) doesn't keep the process running.
+	 */
+	async close() {
+		await this.stop();
+	}
+
+	address() {
+		return this._server ? this._server.address() : null;
+	}
+
+	async _handle(request, response) {
+		try {
+			const url = _parseRequestTarget(request.url);
+
+			/*
+			 * A malformed request target, or a path with a malformed parameter, is the client's
+			 * mistake, so it isn't reported.
+			 */
+			let match = null;
+			if (url) {
+				try {
+					match = _matchRoute(this._routes, request.method, url.pathname);
+				} catch (error) {
+					if (!(error instanceof URIError)) {
+						throw error;
+					}
+				}
+			}
+
+			if (!match) {
+				response.statusCode = 400;
+				response.end();
+				return;
+			}
+
+			const { route, params } = match;
+
+			await this._createRequestContainer.runInScope(async (requestContainer) => {
+				const handler = await requestContainer.get(route.handler);
+				if (typeof handler !== 'function') {
+					throw new TypeError(`handler '${route.handler}' is not a function`);
+				}
+
+				await handler();
+				await new Promise((resolve) => finished(response, () => resolve()));
+			}, { request, response, url, params });
+		} catch (error) {
+			this._reportError(error);
+
+			if (response.headersSent) {
+				response.destroy();
+			} else {
+				response.statusCode = 500;
+				response.end();
+			}
+		}
+	}
+
+}
+
+exports.HttpServer = HttpServer;
+
+exports.httpWiring = function ({
+	port = 0,
+	host,
+	reportError = (error) => console.error(error)
+} = {}) {
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		throw new TypeError("invalid port");
+	}
+
+	if (typeof host !== 'undefined' && (typeof host !== 'string' || host === '')) {
+		throw new TypeError("invalid host");
+	}
+
+	if (typeof reportError !== 'function') {
+		throw new TypeError("invalid error reporter");
+	}
+
+	const builder = new StructuredWiringBuilder();
+
+	builder.adjustAppContainer(async function httpAppContainer(container) {
+		const { register, service, contributeToList, constructor, factory, value } = container;
+
+		register('createHttpRequestContainer', factory('wiring.createScopeContainerFactory'),
+				value('Request'), value(container));
+		register('httpServer', constructor(HttpServer), 'createHttpRequestContainer', 'routes',
+				value({ port, host, reportError }));
+		service('httpServer');
+
+		/*
+		 * The not found route matches every request, so it must come after all the others.
+		 */
+		contributeToList('routes', { name: 'notFound', priority: Number.MAX_SAFE_INTEGER },
+				value({ path: '/*', handler: 'notFoundHandler' }));
+	});
+
+	builder.adjustScopeContainer('Request', async function httpRequestContainer(container,
+			appContainer, { request, response, url, params } = {}) {
+		const { register, factory, value } = container;
+
+		register('request', value(request));
+		register('response', value(response));
+		register('url', value(url));
+		register('params', value(params));
+		register('notFoundHandler', factory(_notFoundHandler), 'response');
+	});
+
+	builder.provideBeans('App', ['httpServer', 'createHttpRequestContainer', 'routes']);
+	builder.provideBeans('Scope.Request', ['request', 'response', 'url', 'params']);
+	builder.declareModule(HTTP_MODULE);
+
+	return builder.build();
+};
+
+function _notFoundHandler(response) {
+	return () => {
+		response.statusCode = 404;
+		response.end();
+	};
+}
+
+/*
+ * Only request targets in origin form (a path and query string) are accepted. One which would
+ * be parsed with an authority of its own (such as '//host/path') is not in origin form.
+ */
+function _parseRequestTarget(target) {
+	if (!target.startsWith('/')) {
+		return null;
+	}
+
+	let url;
+	try {
+		url = new URL(target, REQUEST_ORIGIN);
+	} catch (error) {
+		if (!(error instanceof TypeError)) {
+			throw error;
+		}
+
+		return null;
+	}
+
+	return url.origin === REQUEST_ORIGIN ? url : null;
+}
+
+function _isValidRoute(route) {
+	return typeof route === 'object' && route !== null &&
+			(typeof route.method === 'undefined' ||
+					(typeof route.method === 'string' && route.method !== '')) &&
+			typeof route.path === 'string' && route.path.startsWith('/') &&
+			typeof route.handler === 'string' && route.handler !== '';
+}
+
+/*
+ * Each segment of a route's path matches the same segment of a request's path, except that a
+ * segment starting with a colon matches any (non-empty) segment, and captures it as the
+ * parameter named by the rest of the segment, and a final asterisk segment matches the rest of
+ * the path.
+ */
+function _compilePath(path) {
+	return path.split('/').slice(1).map((segment) => {
+		if (segment === '*') {
+			return { rest: true };
+		}
+
+		if (segment.startsWith(':') && segment.length > 1) {
+			return { param: segment.slice(1) };
+		}
+
+		return { literal: segment };
+	});
+}
+
+function _matchRoute(routes, method, pathname) {
+	const segments = pathname.split('/').slice(1);
+
+	for (const route of routes) {
+		if (route.method && route.method.toUpperCase() !== method) {
+			continue;
+		}
+
+		const params = _matchPattern(route.pattern, segments);
+		if (params) {
+			return { route, params };
+		}
+	}
+
+	/*
+	 * Only if the not found route has been excluded or replaced.
+	 */
+	throw new RangeError(`no route for ${method} ${pathname}`);
+}
+
+function _matchPattern(pattern, segments) {
+	const params = {};
+
+	for (let i = 0; i < pattern.length; i++) {
+		const { rest, param, literal } = pattern[i];
+
+		if (rest) {
+			return params;
+		}
+
+		if (i >= segments.length) {
+			return null;
+		}
+
+		if (param) {
+			if (segments[i] === '') {
+				return null;
+			}
+
+			params[param] = decodeURIComponent(segments[i]);
+		} else if (literal !== segments[i]) {
+			return null;
+		}
+	}
+
+	return pattern.length === segments.length ? params : null;
+}
@@ -3,5 +3,12 @@
 Object.assign(exports,
 	require('./structured-wiring'),
 	require('./wiring'),
+	require('./graph'),
+	require('./provenance'),
+	require('./testing'),
+	require('./configuration'),
+	require('./logging'),
+	require('./http'),
+	require('./worker'),
 	require('./require-version')
 );
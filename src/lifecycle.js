@@ -0,0 +1,209 @@
+"use strict";
+
+const { sortByOrdering } = require('./ordering');
+
+/*
+ * Starts and stops the services registered in a container (with its service function). Each
+ * service is started after any services it depends on (directly, or via other beans in the
+ * container), and they are stopped in the reverse of the order they were started.
+ */
+exports.Lifecycle = class Lifecycle {
+
+	constructor(container) {
+		this._container = container;
+
+		/*
+		 * Names of the services started (and not yet stopped), in the order they were started.
+		 */
+		this._started = [];
+
+		/*
+		 * Promise which settles when the latest start or stop has finished.
+		 */
+		this._transition = Promise.resolve();
+
+		this.start = () => this._transitionTo(() => this._start());
+		this.stop = () => this._transitionTo(() => this._stop());
+		this.stopOnSignals = (...args) => this._validateAndStopOnSignals(...args);
+	}
+
+	/*
+	 * The process is injected (it need only have once, removeListener and a writable
+	 * exitCode), as it is for Runner, so it can be faked.
+	 */
+	_validateAndStopOnSignals(signals = ['SIGTERM', 'SIGINT'], {
+		process: signalledProcess = process,
+		reportError = (error) => console.error(error)
+	} = {}) {
+		if (!Array.isArray(signals) ||
+				!signals.every((signal) => typeof signal === 'string' && signal !== '')) {
+			throw new TypeError("invalid signals");
+		}
+
+		if (!signalledProcess || typeof signalledProcess.once !== 'function' ||
+				typeof signalledProcess.removeListener !== 'function') {
+			throw new TypeError("invalid process");
+		}
+
+		if (typeof reportError !== 'function') {
+			throw new TypeError("invalid error reporter");
+		}
+
+		const onSignal = () => {
+			removeListeners();
+			this.stop().catch((error) => {
+				signalledProcess.exitCode = 1;
+				reportError(error);
+			});
+		};
+		const removeListeners = () => {
+			signals.forEach((signal) => signalledProcess.removeListener(signal, onSignal));
+		};
+
+		signals.forEach((signal) => signalledProcess.once(signal, onSignal));
+
+		return removeListeners;
+	}
+
+	/*
+	 * Starting and stopping wait for each other, so e.g. a signal received while starting
+	 * stops everything once it has started.
+	 */
+	_transitionTo(transition) {
+		const next = this._transition.then(transition);
+		this._transition = next.catch(() => {});
+
+		return next;
+	}
+
+	async _start() {
+		if (this._started.length) {
+			return;
+		}
+
+		for (const name of this._orderServices()) {
+			const { startTimeout } = this._container._services.get(name);
+
+			let starting = null;
+			try {
+				const service = await this._container.get(name);
+				if (service && typeof service.start === 'function') {
+					starting = Promise.resolve(service.start());
+					await _withTimeout(starting, startTimeout,
+							`service '${name}' did not start within ${startTimeout}ms`);
+				}
+			} catch (error) {
+				throw await this._rollBack(name, error, starting);
+			}
+
+			this._started.push(name);
+		}
+	}
+
+	/*
+	 * The services already started are stopped, so a failed start leaves nothing running.
+	 */
+	async _rollBack(name, error, starting) {
+		const startError = new Error(`service '${name}' failed to start: ${error.message}`);
+		startError.cause = error;
+		startError.rollbackErrors = [];
+
+		/*
+		 * A service which didn't start in time may still be starting, so it is waited for (for
+		 * up to its stop timeout), and stopped along with the others if it does start.
+		 */
+		if (starting) {
+			const { stopTimeout } = this._container._services.get(name);
+
+			try {
+				const started = await _withTimeout(starting.then(() => true, () => false),
+						stopTimeout,
+						`service '${name}' did not finish starting within ${stopTimeout}ms`);
+				if (started) {
+					this._started.push(name);
+				}
+			} catch (settleError) {
+				startError.rollbackErrors.push(settleError);
+			}
+		}
+
+		try {
+			await this._stop();
+		} catch (stopError) {
+			startError.rollbackErrors.push(...stopError.errors);
+		}
+
+		return startError;
+	}
+
+	async _stop() {
+		const errors = [];
+
+		/*
+		 * Stop one at a time, since later services may use earlier ones right up until they
+		 * are stopped.
+		 */
+		while (this._started.length) {
+			const name = this._started.pop();
+			const { stopTimeout } = this._container._services.get(name);
+
+			try {
+				const service = await this._container.get(name);
+				if (service && typeof service.stop === 'function') {
+					await _withTimeout(service.stop(), stopTimeout,
+							`service '${name}' did not stop within ${stopTimeout}ms`);
+				}
+			} catch (error) {
+				errors.push(error);
+			}
+		}
+
+		if (errors.length) {
+			throw new AggregateError(errors, `${errors.length} service(s) failed to stop`);
+		}
+	}
+
+	_orderServices() {
+		const names = [...this._container._services.keys()];
+		const dependencies = new Map(names.map((name) => [name,
+				names.filter((other) => other !== name &&
+						this._dependsOn(name, other, new Set()))]));
+
+		return sortByOrdering(names,
+				(name) => ({ before: [], after: dependencies.get(name), priority: 0 }),
+				(name, reference) => name === reference,
+				(cycle) => new RangeError(`services depend on each other: ${cycle.join(' -> ')}`));
+	}
+
+	/*
+	 * Only dependencies needed to create a bean count, not lazy ones, and only within the
+	 * container (other containers' beans are not its services).
+	 */
+	_dependsOn(name, other, visited) {
+		const [holder, beanName] = this._container._locateBean(name);
+		const record = holder === this._container && holder._registrationRecords.get(beanName);
+		if (!record || visited.has(beanName)) {
+			return false;
+		}
+		visited.add(beanName);
+
+		return record.dependencies
+		.filter((dependency) => dependency.name && !dependency.lazy)
+		.some((dependency) => dependency.name === other ||
+				this._dependsOn(dependency.name, other, visited));
+	}
+
+};
+
+function _withTimeout(result, timeout, message) {
+	if (typeof timeout === 'undefined') {
+		return result;
+	}
+
+	let timer;
+	const timedOut = new Promise((resolve, reject) => {
+		timer = setTimeout(() => reject(new Error(message)), timeout);
+	});
+
+	return Promise.race([result, timedOut]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,116 @@
+"use strict";
+
+const util = require('util');
+const { StructuredWiringBuilder } = require('./structured-wiring');
+
+const LOGGING_MODULE = 'modular-async-di/logging';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/*
+ * A logger which buffers its entries until it is flushed into a real logger, and from then on
+ * passes them straight through to it. If it is closed (e.g. because the container holding it
+ * is disposed after booting fails) without being flushed, it writes its entries to a stream
+ * instead, so they aren't lost.
+ */
+class BufferingLogger {
+
+	constructor(fallbackStream = process.stderr) {
+		this.entries = [];
+
+		this._fallbackStream = fallbackStream;
+		this._logger = null;
+
+		LEVELS.forEach((level) => {
+			this[level] = (...args) => this._log(level, args);
+		});
+	}
+
+	flushTo(logger) {
+		if (this._logger) {
+			throw new RangeError("boot logger already flushed");
+		}
+
+		if (!_isLogger(logger)) {
+			throw new TypeError("invalid logger");
+		}
+
+		this._logger = logger;
+		this.entries.splice(0).forEach(({ level, args }) => logger[level](...args));
+	}
+
+	close() {
+		if (this._logger) {
+			return;
+		}
+
+		this.entries.splice(0).forEach(({ time, level, args }) => {
+			this._fallbackStream.write(`${time.toISOString()} ${level.toUpperCase()} ` +
+					`${util.format(...args)}\n`);
+		});
+	}
+
+	_log(level, args) {
+		if (this._logger) {
+			this._logger[level](...args);
+			return;
+		}
+
+		this.entries.push({ time: new Date(), level, args });
+	}
+
+}
+
+exports.BufferingLogger = BufferingLogger;
+
+exports.loggingWiring = function ({
+	createLogger = () => console,
+	fallbackStream = process.stderr
+} = {}) {
+	if (typeof createLogger !== 'function') {
+		throw new TypeError("invalid logger factory");
+	}
+
+	if (!fallbackStream || typeof fallbackStream.write !== 'function') {
+		throw new TypeError("invalid fallback stream");
+	}
+
+	const builder = new StructuredWiringBuilder();
+
+	builder.adjustBootContainer(async function loggingBootContainer(container) {
+		const { register, constructor, value } = container;
+
+		register('bootLogger', constructor(BufferingLogger), value(fallbackStream));
+	});
+
+	/*
+	 * The logger is a service so it's created (flushing the boot logger into it) as soon as
+	 * the app starts, even if nothing else uses it yet.
+	 */
+	builder.adjustAppContainer(async function loggingAppContainer(container) {
+		const { register, service, factory, value } = container;
+
+		register('logger', factory(_createLogger), value(createLogger), 'bootContainer',
+				'bootContainer.bootLogger');
+		service('logger');
+	});
+
+	builder.provideBeans('Boot', ['bootLogger']);
+	builder.provideBeans('App', ['logger']);
+	builder.declareModule(LOGGING_MODULE);
+
+	return builder.build();
+};
+
+async function _createLogger(createLogger, bootContainer, bootLogger) {
+	const logger = await createLogger(bootContainer);
+
+	bootLogger.flushTo(logger);
+
+	return logger;
+}
+
+function _isLogger(logger) {
+	return logger !== null && (typeof logger === 'object' || typeof logger === 'function') &&
+			LEVELS.every((level) => typeof logger[level] === 'function');
+}
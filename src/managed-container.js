@@ -0,0 +1,767 @@
+"use strict";
+
+const { Container, promise, promiser, replacement, seeker, value } =
+		require('minimalist-async-di');
+const { isValidOrdering, sortByOrdering } = require('./ordering');
+
+/*
+ * Injectors which don't need the bean to be created before the dependant is, so can't be part
+ * of a dependency cycle.
+ */
+const LAZY_INJECTOR_PROTOTYPES = [promise('bean'), promiser('bean'), seeker('bean')]
+.map(Object.getPrototypeOf);
+
+/*
+ * The containers created by wiring. They are minimalist-async-di containers which also manage
+ * the lifecycle of the beans they hold.
+ *
+ * Beans the container itself creates (using constructor() or factory() creators) are owned by
+ * it, and when the container is disposed, they are torn down in the reverse of the order in
+ * which they were created. Aliases, and value() or promise() beans, are not owned, since they
+ * were created somewhere else (often another container, which is responsible for them).
+ */
+class ManagedContainer extends Container {
+
+	constructor(containerType) {
+		super();
+
+		this.containerType = containerType;
+
+		/*
+		 * The (creation-phase) wiring which created the container.
+		 */
+		this._wiring = null;
+
+		/*
+		 * Records describing the current registration of each bean, keyed by bean name, so
+		 * the container's wiring can be inspected without creating any beans.
+		 */
+		this._registrationRecords = new Map();
+
+		/*
+		 * Records of every registration and replacement, in order, for explaining where beans
+		 * came from, along with the adjuster (and its module) currently making registrations.
+		 */
+		this._registrationHistory = [];
+		this._attribution = { adjuster: null, module: null };
+
+		/*
+		 * Owned beans in the order their creation completed, which means dependencies always
+		 * precede the beans which depend on them.
+		 */
+		this._createdBeans = [];
+
+		/*
+		 * The current registration of each owned bean, keyed by bean name, holding the name
+		 * its created bean is recorded under (which changes if it is retained under another
+		 * name when replaced).
+		 */
+		this._ownedRegistrations = new Map();
+
+		/*
+		 * AutoStubs used to stub beans which are requested but not registered, or null (set by
+		 * Wiring).
+		 */
+		this._autoStubs = null;
+
+		/*
+		 * CaptiveDependencies used to check beans as they are created, or null (set by Wiring).
+		 */
+		this._captiveDependencies = null;
+
+		/*
+		 * Explicitly registered teardown functions keyed by bean name.
+		 */
+		this._disposers = new Map();
+
+		/*
+		 * Options for the beans registered as services (which a Lifecycle starts and stops)
+		 * keyed by bean name, in the order they were registered.
+		 */
+		this._services = new Map();
+
+		/*
+		 * Promise for the result of disposal, once it has begun.
+		 */
+		this._disposal = null;
+
+		/*
+		 * Promise which resolves once the container has been disposed (even if some beans
+		 * failed to be torn down).
+		 */
+		this._disposed = new Promise((resolve) => {
+			this._resolveDisposed = resolve;
+		});
+
+		/*
+		 * Collection beans made up of contributions, keyed by bean name, each holding its kind
+		 * ('list' or 'map') and its entries, in the order they were contributed.
+		 */
+		this._collections = new Map();
+
+		/*
+		 * The container which beans not registered in this one are found in (see fallBackTo),
+		 * or null, and the names of beans which are instead re-instantiated in this container,
+		 * using the registrations of the container they are found in.
+		 */
+		this._fallbackContainer = null;
+		this._reinstantiatedBeans = new Set();
+
+		/*
+		 * The names of beans registered to share beans found in the fallback container.
+		 */
+		this._sharedBeans = new Set();
+
+		/*
+		 * The creator and dependencies each bean was registered with, as given (before they
+		 * are made to record ownership), keyed by bean name, so containers falling back to
+		 * this one can re-instantiate the bean.
+		 */
+		this._registrationArguments = new Map();
+
+		this.contributeToList = (...args) => this._validateAndContribute('list', ...args);
+		this.contributeToMap = (...args) => this._validateAndContribute('map', ...args);
+		this.service = (...args) => this._validateAndAddService(...args);
+		this.disposer = (...args) => this._validateAndAddDisposer(...args);
+		this.isRegistered = (...args) => this._validateAndCheckRegistered(...args);
+		this.fallBackTo = (...args) => this._validateAndFallBackTo(...args);
+		this.reinstantiate = (...args) => this._validateAndReinstantiate(...args);
+		this.dispose = () => this._dispose();
+
+		if (typeof Symbol.asyncDispose === 'symbol') {
+			this[Symbol.asyncDispose] = this.dispose;
+		}
+	}
+
+	_validateAndRegister(specifier, creator, ...dependencies) {
+		if (this._disposal) {
+			throw new Error("cannot register beans in a disposed container");
+		}
+
+		const name = typeof specifier === 'string' ? specifier : specifier && specifier.name;
+		const ownedRegistration = { name };
+
+		super._validateAndRegister(specifier,
+				...this._owningCreatorAndDependencies(ownedRegistration, creator, dependencies));
+
+		if (typeof specifier === 'object' && specifier.retainedName) {
+			this._retainOwnership(name, specifier.retainedName);
+			if (this._registrationArguments.has(name)) {
+				this._registrationArguments.set(specifier.retainedName,
+						this._registrationArguments.get(name));
+			}
+		}
+		this._ownedRegistrations.set(name, ownedRegistration);
+		this._registrationArguments.set(name, { creator, dependencies });
+		this._sharedBeans.delete(name);
+
+		this._recordRegistration(specifier, creator, dependencies);
+	}
+
+	/*
+	 * A retained registration is the same bean under a new name, so its created bean, and any
+	 * disposer for it, go with it.
+	 */
+	_retainOwnership(name, retainedName) {
+		const ownedRegistration = this._ownedRegistrations.get(name);
+		if (ownedRegistration) {
+			ownedRegistration.name = retainedName;
+			this._ownedRegistrations.set(retainedName, ownedRegistration);
+		}
+
+		if (this._disposers.has(name)) {
+			this._disposers.set(retainedName, this._disposers.get(name));
+			this._disposers.delete(name);
+		}
+	}
+
+	_recordRegistration(specifier, creator, dependencies) {
+		const replacement = typeof specifier === 'object' &&
+				typeof specifier.specifier === 'object';
+
+		if (replacement && specifier.retainedName) {
+			this._registrationRecords.set(specifier.retainedName, {
+				...this._registrationRecords.get(specifier.name),
+				name: specifier.retainedName
+			});
+		}
+
+		const record = {
+			name: specifier.name || specifier,
+			replacement,
+			..._describeCreator(creator),
+			...this._attribution
+		};
+		record.dependencies = record.dependencies.concat(dependencies.map(_describeInjector));
+
+		this._registrationRecords.set(record.name, record);
+		this._registrationHistory.push(record);
+	}
+
+	_attributeRegistrationsTo(adjuster, moduleName) {
+		this._attribution = { adjuster: adjuster || null, module: moduleName || null };
+	}
+
+	/*
+	 * Follow a (possibly dotted) bean name into the container which actually holds the bean,
+	 * giving the container and the name within it. Where the name refers to a property of a
+	 * bean which isn't a container, that bean is given instead. Nothing is created, so
+	 * containers which haven't been created yet can only be followed if they are provided by
+	 * linkedContainerFor.
+	 */
+	_locateBean(name, linkedContainerFor = () => null) {
+		if (this._sharedBeans.has(name.split('.')[0])) {
+			return this._fallbackContainer._locateBean(name, linkedContainerFor);
+		}
+
+		if (this._registrationRecords.has(name)) {
+			return [this, name];
+		}
+
+		const components = name.split('.');
+		for (let length = components.length - 1; length > 0; length--) {
+			const parentName = components.slice(0, length).join('.');
+			if (!this._registrationRecords.has(parentName)) {
+				continue;
+			}
+
+			const heldContainer = this._containerHeldAs(parentName) ||
+					linkedContainerFor(this, parentName);
+			if (heldContainer) {
+				return heldContainer._locateBean(components.slice(length).join('.'),
+						linkedContainerFor);
+			}
+
+			return [this, parentName];
+		}
+
+		if (this._fallbackContainer) {
+			return this._fallbackContainer._locateBean(name, linkedContainerFor);
+		}
+
+		return [this, name];
+	}
+
+	/*
+	 * Containers held as beans, either as values, or because this container created them.
+	 */
+	_containerHeldAs(name) {
+		const record = this._registrationRecords.get(name);
+		if (record && record.creator === 'value' && record.value instanceof ManagedContainer) {
+			return record.value;
+		}
+
+		const created = this._createdBeans.find((createdBean) =>
+				createdBean.name === name && createdBean.bean instanceof ManagedContainer);
+
+		return created ? created.bean : null;
+	}
+
+	_heldContainers() {
+		const held = [];
+
+		this._registrationRecords.forEach(({ name }) => {
+			const heldContainer = this._containerHeldAs(name);
+			if (heldContainer && !held.includes(heldContainer)) {
+				held.push(heldContainer);
+			}
+		});
+
+		return held;
+	}
+
+	async _get(name) {
+		if (this._disposal) {
+			throw new Error(`cannot get bean '${name}' from a disposed container`);
+		}
+
+		return await super._get(name);
+	}
+
+	/*
+	 * A bean which isn't registered is found in the fallback container, if any, or when
+	 * auto-stubbing, is stubbed. Either way, this is by its first name component, so dotted
+	 * names are properties of the same bean.
+	 */
+	async _resolveBeanNamed(name, dependants) {
+		if (this._fallbackContainer && !this._isResolvable(name)) {
+			this._fallBack(name.split('.')[0]);
+		}
+
+		if (this._autoStubs && !this._isResolvable(name)) {
+			const stubName = name.split('.')[0];
+			this.register(stubName, value(this._autoStubs._createStub(stubName)));
+		}
+
+		const bean = await super._resolveBeanNamed(name, dependants);
+
+		if (this._captiveDependencies) {
+			this._captiveDependencies._check(this, name);
+		}
+
+		return bean;
+	}
+
+	/*
+	 * Shared beans are registered as promises for the bean in the fallback container (which
+	 * remains responsible for it). Re-instantiated beans are registered in the same way as in
+	 * the container they are found in (along with any beans registered as their properties),
+	 * so their dependencies are resolved in this container, and this container owns them.
+	 */
+	_fallBack(beanName) {
+		if (this._reinstantiatedBeans.has(beanName)) {
+			const registeringContainer = this._fallbackContainer._findRegistering(beanName);
+
+			if (registeringContainer) {
+				registeringContainer._registrationArguments.forEach(
+						({ creator, dependencies }, name) => {
+							if ((name === beanName || _isPropertyName(name, beanName)) &&
+									!this._registrationRecords.has(name)) {
+								this.register(name, creator, ...dependencies);
+							}
+						});
+
+				return;
+			}
+		}
+
+		if (this._fallbackContainer._canResolve(beanName)) {
+			this.register(beanName, promise(this._fallbackContainer.get(beanName)));
+			this._sharedBeans.add(beanName);
+		}
+	}
+
+	_findRegistering(beanName) {
+		if (this._registrationArguments.has(beanName) && !this._sharedBeans.has(beanName)) {
+			return this;
+		}
+
+		return this._fallbackContainer ? this._fallbackContainer._findRegistering(beanName) :
+			null;
+	}
+
+	_canResolve(name) {
+		return this._isResolvable(name) ||
+				Boolean(this._fallbackContainer && this._fallbackContainer._canResolve(name));
+	}
+
+	/*
+	 * Whether the name is registered (or created), or is a property of a bean which is, in
+	 * which case it is left to the bean to provide it.
+	 */
+	_isResolvable(name) {
+		const components = name.split('.');
+
+		for (let length = components.length; length > 0; length--) {
+			const beanName = components.slice(0, length).join('.');
+			if (this._registrations.has(beanName) || this._pending.has(beanName) ||
+					this._beans.has(beanName)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/*
+	 * Substitute an equivalent factory() creator which records the bean once it is created.
+	 * Where the constructor or factory is itself a bean, it is appended as an extra dependency,
+	 * just as minimalist-async-di does internally.
+	 */
+	_owningCreatorAndDependencies(ownedRegistration, creator, dependencies) {
+		if (!creator || !creator.creator) {
+			return [creator, ...dependencies];
+		}
+
+		const own = (bean, constructed = false) => {
+			this._createdBeans.push({ name: ownedRegistration.name, bean, constructed });
+			return bean;
+		};
+
+		const { Constructor, factory } = creator;
+
+		if (typeof Constructor === 'function') {
+			return [this.factory((...args) => own(new Constructor(...args), true)), ...dependencies];
+		}
+
+		if (typeof Constructor === 'string') {
+			return [this.factory((...args) => {
+				const ResolvedConstructor = args.pop();
+				return own(new ResolvedConstructor(...args), true);
+			}), ...dependencies, Constructor];
+		}
+
+		if (typeof factory === 'function') {
+			return [this.factory(async (...args) => own(await factory(...args))),
+					...dependencies];
+		}
+
+		if (typeof factory === 'string') {
+			return [this.factory(async (...args) => {
+				const resolvedFactory = args.pop();
+				return own(await resolvedFactory(...args));
+			}), ...dependencies, this.bound(factory)];
+		}
+
+		return [creator, ...dependencies];
+	}
+
+	_validateAndContribute(kind, collectionName, entry, creator, ...dependencies) {
+		if (!_isValidContributionName(collectionName)) {
+			throw new TypeError("invalid collection name");
+		}
+
+		if (!ManagedContainer.isValidContribution(entry)) {
+			throw new TypeError("invalid contribution");
+		}
+
+		const { name, before = [], after = [], priority = 0, flatten = false } =
+				typeof entry === 'string' ? { name: entry } : entry;
+
+		const collection = this._collections.get(collectionName) || { kind, entries: [] };
+
+		if (collection.kind !== kind) {
+			throw new RangeError(`cannot contribute to ${collection.kind} '${collectionName}' ` +
+					`as a ${kind}`);
+		}
+
+		if (collection.entries.some((existing) => existing.name === name)) {
+			throw new RangeError(`'${name}' already contributed to '${collectionName}'`);
+		}
+
+		if (!this._collections.has(collectionName) &&
+				this._registrationRecords.has(collectionName)) {
+			throw new RangeError(`cannot contribute to '${collectionName}', which is ` +
+					"registered as a bean of its own");
+		}
+
+		if (this._beans.has(collectionName) || this._pending.has(collectionName)) {
+			throw new RangeError(`cannot contribute to '${collectionName}' after it has ` +
+					"been created");
+		}
+
+		const beanName = `${collectionName}#${name}`;
+		this.register(beanName, creator, ...dependencies);
+
+		collection.entries.push({ name, beanName, before, after, priority, flatten });
+		this._registerCollection(collectionName, collection);
+	}
+
+	/*
+	 * Each contribution is a bean of its own, so the collection bean is (re-)registered to
+	 * depend on all of them. It isn't owned, since it only gathers beans created elsewhere.
+	 */
+	_registerCollection(name, collection) {
+		const creator = this.factory((...beans) => _collect(name, collection, beans));
+		const dependencies = collection.entries.map((entry) => entry.beanName);
+
+		super._validateAndRegister(this._collections.has(name) ? replacement(name) : name,
+				creator, ...dependencies);
+		this._collections.set(name, collection);
+
+		const record = {
+			name,
+			replacement: false,
+			contribution: true,
+			creator: 'factory',
+			dependencies: dependencies.map((dependency) => ({ name: dependency })),
+			...this._attribution
+		};
+
+		this._registrationRecords.set(name, record);
+		this._registrationHistory.push(record);
+	}
+
+	_validateAndAddService(name, { startTimeout, stopTimeout } = {}) {
+		if (typeof name !== 'string' || name === '') {
+			throw new TypeError("invalid bean name");
+		}
+
+		if (![startTimeout, stopTimeout].every((timeout) => typeof timeout === 'undefined' ||
+				(Number.isFinite(timeout) && timeout > 0))) {
+			throw new TypeError("invalid timeout");
+		}
+
+		if (this._services.has(name)) {
+			throw new RangeError(`service '${name}' already registered`);
+		}
+
+		this._services.set(name, { startTimeout, stopTimeout });
+	}
+
+	_validateAndAddDisposer(name, disposer) {
+		if (typeof name !== 'string') {
+			throw new TypeError("invalid bean name");
+		}
+
+		if (typeof disposer !== 'function') {
+			throw new TypeError("invalid disposer");
+		}
+
+		if (this._disposers.has(name)) {
+			throw new RangeError(`disposer for '${name}' already registered`);
+		}
+
+		this._disposers.set(name, disposer);
+	}
+
+	_validateAndCheckRegistered(name) {
+		if (typeof name !== 'string' || name === '') {
+			throw new TypeError("invalid bean name");
+		}
+
+		return this._registrationRecords.has(name);
+	}
+
+	_validateAndFallBackTo(fallbackContainer) {
+		if (!(fallbackContainer instanceof ManagedContainer)) {
+			throw new TypeError("invalid fallback container");
+		}
+
+		if (this._fallbackContainer) {
+			throw new RangeError("fallback container already set");
+		}
+
+		let container = fallbackContainer;
+		while (container) {
+			if (container === this) {
+				throw new RangeError("cannot fall back to a container which falls back to this " +
+						"container (or the container itself)");
+			}
+
+			container = container._fallbackContainer;
+		}
+
+		this._fallbackContainer = fallbackContainer;
+	}
+
+	_validateAndReinstantiate(...names) {
+		if (names.length === 0 || !names.every(_isValidReinstantiatedName)) {
+			throw new TypeError("invalid bean names");
+		}
+
+		names.forEach((name) => this._reinstantiatedBeans.add(name));
+	}
+
+	_dispose() {
+		if (!this._disposal) {
+			this._disposal = this._disposeCreatedBeans();
+			this._disposal.then(this._resolveDisposed, this._resolveDisposed);
+		}
+
+		return this._disposal;
+	}
+
+	async _disposeCreatedBeans() {
+		const errors = [];
+
+		/*
+		 * Beans still being created were asked for before disposal started, so they're owned
+		 * too, and creating one may in turn create its dependencies. A failed creation stays
+		 * pending in minimalist-async-di, so each is only awaited once.
+		 */
+		const awaited = new Set();
+		for (let pending = [...this._pending.values()]; pending.length;
+				pending = [...this._pending.values()].filter((promise) => !awaited.has(promise))) {
+			pending.forEach((promise) => awaited.add(promise));
+			await Promise.allSettled(pending);
+		}
+
+		/*
+		 * Dispose one at a time, since later beans may depend on earlier ones right up until
+		 * they are torn down.
+		 */
+		for (const { name, bean, constructed } of this._createdBeans.slice().reverse()) {
+			try {
+				await this._disposeBean(name, bean, constructed);
+			} catch (error) {
+				errors.push(error);
+			}
+		}
+
+		if (errors.length) {
+			throw new AggregateError(errors, `${errors.length} bean(s) failed to dispose`);
+		}
+	}
+
+	async _disposeBean(name, bean, constructed) {
+		const disposer = this._disposers.get(name);
+		if (disposer) {
+			return await disposer(bean);
+		}
+
+		if (bean === null || (typeof bean !== 'object' && typeof bean !== 'function')) {
+			return;
+		}
+
+		/*
+		 * Containers created by beans (e.g. with the wiring bean) are always owned, even where
+		 * Node doesn't provide Symbol.asyncDispose.
+		 */
+		if (bean instanceof ManagedContainer) {
+			return await bean.dispose();
+		}
+
+		const hook = _disposalHookFor(bean, constructed);
+		if (hook) {
+			await hook.call(bean);
+		}
+	}
+
+}
+
+/*
+ * A contribution's entry is its name, or an object with its name, ordering constraints
+ * (before, after and priority), and whether to flatten it into the collection.
+ */
+ManagedContainer.isValidContributionName = _isValidContributionName;
+
+ManagedContainer.isValidContribution = function (entry) {
+	if (typeof entry === 'string') {
+		return _isValidContributionName(entry);
+	}
+
+	return typeof entry === 'object' && entry !== null &&
+			_isValidContributionName(entry.name) &&
+			isValidOrdering(entry) &&
+			(typeof entry.flatten === 'undefined' || typeof entry.flatten === 'boolean');
+};
+
+/*
+ * Container.prototype.constructor is the constructor() creator, not the Container class, and
+ * adjusters rely on destructuring it from the container, so the subclass must preserve it.
+ */
+ManagedContainer.prototype.constructor = Container.prototype.constructor;
+
+exports.ManagedContainer = ManagedContainer;
+
+/*
+ * The creator and injector classes aren't exported by minimalist-async-di, so these recognise
+ * them by their properties. Constructors and factories which are themselves beans are
+ * described as dependencies, just as minimalist-async-di treats them internally.
+ */
+function _describeCreator(creator) {
+	if (typeof creator === 'string') {
+		return { creator: 'alias', dependencies: [{ name: creator }] };
+	}
+
+	if ('Constructor' in creator) {
+		return {
+			creator: 'constructor',
+			dependencies: typeof creator.Constructor === 'string' ?
+					[{ name: creator.Constructor, role: 'constructor' }] : []
+		};
+	}
+
+	if ('factory' in creator) {
+		return {
+			creator: 'factory',
+			dependencies: typeof creator.factory === 'string' ?
+					[{ name: creator.factory, role: 'factory' }] : []
+		};
+	}
+
+	if ('promise' in creator) {
+		return { creator: 'promise', dependencies: [] };
+	}
+
+	return { creator: 'value', value: creator.value, dependencies: [] };
+}
+
+function _describeInjector(injector) {
+	if (typeof injector === 'string') {
+		return { name: injector };
+	}
+
+	if ('value' in injector) {
+		return { value: injector.value };
+	}
+
+	if (LAZY_INJECTOR_PROTOTYPES.includes(Object.getPrototypeOf(injector))) {
+		return { name: injector.name, lazy: true };
+	}
+
+	return { name: injector.name };
+}
+
+/*
+ * Names of contributions and the collections they're contributed to can't refer to properties
+ * of other beans.
+ */
+function _isValidContributionName(name) {
+	return typeof name === 'string' && /^[^.[\]#]+$/.test(name);
+}
+
+/*
+ * Beans are re-instantiated by their first name component, like beans found in the fallback
+ * container.
+ */
+function _isValidReinstantiatedName(name) {
+	return typeof name === 'string' && /^[^.[\]]+$/.test(name);
+}
+
+function _isPropertyName(name, beanName) {
+	return name.startsWith(`${beanName}.`) || name.startsWith(`${beanName}[`);
+}
+
+function _collect(name, collection, beans) {
+	const entries = collection.entries.map((entry, index) => ({ ...entry, bean: beans[index] }));
+
+	const sortedEntries = sortByOrdering(entries, (entry) => entry, (entry, reference) =>
+			entry.name === reference,
+			(cycle) => new RangeError(`contradictory ordering constraints for contributions ` +
+					`to '${name}': ${cycle.map((entry) => entry.name).join(' -> ')} ` +
+					"(each must come before the next)"));
+
+	if (collection.kind === 'list') {
+		return sortedEntries.reduce((list, entry) => {
+			if (!entry.flatten) {
+				return list.concat([entry.bean]);
+			}
+
+			if (!Array.isArray(entry.bean)) {
+				throw new TypeError(`contribution '${entry.name}' to '${name}' is not an ` +
+						"array, so can't be flattened");
+			}
+
+			return list.concat(entry.bean);
+		}, []);
+	}
+
+	const map = {};
+	sortedEntries.forEach((entry) => {
+		if (entry.flatten && (typeof entry.bean !== 'object' || entry.bean === null)) {
+			throw new TypeError(`contribution '${entry.name}' to '${name}' is not an ` +
+					"object, so can't be flattened");
+		}
+
+		Object.entries(entry.flatten ? entry.bean : { [entry.name]: entry.bean })
+		.forEach(([key, bean]) => {
+			if (Object.prototype.hasOwnProperty.call(map, key)) {
+				throw new RangeError(`key '${key}' contributed to '${name}' more than once`);
+			}
+
+			map[key] = bean;
+		});
+	});
+
+	return map;
+}
+
+/*
+ * Any bean may implement the explicit resource management protocol, but only instances of the
+ * application's own classes are assumed to mean teardown by dispose() or close(): a factory
+ * may return a shared object, such as a module, whose close() means something else entirely.
+ */
+function _disposalHookFor(bean, constructed) {
+	const candidates = constructed ? [Symbol.asyncDispose, Symbol.dispose, 'dispose', 'close'] :
+			[Symbol.asyncDispose, Symbol.dispose];
+
+	for (const candidate of candidates) {
+		if (typeof candidate !== 'undefined' && typeof bean[candidate] === 'function') {
+			return bean[candidate];
+		}
+	}
+
+	return null;
+}
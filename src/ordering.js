@@ -0,0 +1,84 @@
+"use strict";
+
+/*
+ * Ordering constraints, used for both container adjusters and contributions to collection
+ * beans: the names of items (or groups of items, such as modules) an item must come before and
+ * after, and its priority.
+ */
+
+exports.isValidOrdering = function (ordering) {
+	const isValidReferences = (references) => typeof references === 'undefined' ||
+			(Array.isArray(references) && references.every((reference) =>
+					typeof reference === 'string' && reference !== ''));
+
+	return typeof ordering === 'object' && ordering !== null &&
+			isValidReferences(ordering.before) &&
+			isValidReferences(ordering.after) &&
+			(typeof ordering.priority === 'undefined' || Number.isFinite(ordering.priority));
+};
+
+/*
+ * A topological sort: each item comes after any items it must come after (those which match
+ * one of its references), and before any it must come before. Of the items free to come next,
+ * the one with the lowest priority comes first, or if they have the same priority, the one
+ * which comes first in the original order. So without any constraints, the order is unchanged.
+ *
+ * If the constraints contradict each other, contradictionError is called with a cycle of
+ * items (each of which must come before the next, and the last being the first again), and
+ * the error it returns is thrown.
+ */
+exports.sortByOrdering = function (items, orderingOf, matches, contradictionError) {
+	const predecessors = new Map(items.map((item) => [item, new Set()]));
+	items.forEach((item) => {
+		const { before, after } = orderingOf(item);
+
+		items.forEach((other) => {
+			if (other === item) {
+				return;
+			}
+
+			if (after.some((reference) => matches(other, reference))) {
+				predecessors.get(item).add(other);
+			}
+
+			if (before.some((reference) => matches(other, reference))) {
+				predecessors.get(other).add(item);
+			}
+		});
+	});
+
+	const sorted = [];
+	const remaining = items.slice();
+
+	while (remaining.length) {
+		const next = remaining
+		.filter((item) => predecessors.get(item).size === 0)
+		.reduce((earliest, item) => earliest &&
+				orderingOf(earliest).priority <= orderingOf(item).priority ?
+				earliest : item, null);
+
+		if (!next) {
+			throw contradictionError(_findCycle(remaining, predecessors));
+		}
+
+		remaining.splice(remaining.indexOf(next), 1);
+		sorted.push(next);
+		predecessors.forEach((itemPredecessors) => itemPredecessors.delete(next));
+	}
+
+	return sorted;
+};
+
+/*
+ * Every remaining item has a remaining predecessor, so following predecessors from any of them
+ * must lead around a cycle.
+ */
+function _findCycle(remaining, predecessors) {
+	const path = [remaining[0]];
+
+	while (path.indexOf(path[path.length - 1]) === path.length - 1) {
+		path.push([...predecessors.get(path[path.length - 1])][0]);
+	}
+
+	return path.slice(path.indexOf(path[path.length - 1])).reverse();
+}
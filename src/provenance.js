@@ -0,0 +1,50 @@
+"use strict";
+
+const { ManagedContainer } = require('./managed-container');
+
+exports.explainBean = function explainBean(container, beanName) {
+	if (!(container instanceof ManagedContainer)) {
+		throw new TypeError("invalid container");
+	}
+
+	if (typeof beanName !== 'string' || beanName === '') {
+		throw new TypeError("invalid bean name");
+	}
+
+	const explanation = _explain(container, beanName, new Set());
+	if (!explanation) {
+		throw new RangeError(`no bean registered with name '${beanName}'`);
+	}
+
+	return explanation;
+};
+
+function _explain(container, beanName, explained) {
+	const [holder, name] = container._locateBean(beanName);
+
+	const record = holder._registrationRecords.get(name);
+	if (!record) {
+		return null;
+	}
+
+	/*
+	 * Aliases are explained all the way to the bean they refer to (which may be in another
+	 * container), but guard against aliases which refer to themselves.
+	 */
+	const aliased = record.creator === 'alias' && !explained.has(record) ?
+			_explain(holder, record.dependencies[0].name, explained.add(record)) : null;
+
+	return {
+		containerType: holder.containerType,
+		name,
+		history: holder._registrationHistory
+		.filter((entry) => entry.name === name)
+		.map((entry) => ({
+			action: entry.replacement ? 'replace' : entry.contribution ? 'contribute' : 'register',
+			creator: entry.creator,
+			adjuster: entry.adjuster ? entry.adjuster.name || null : null,
+			module: entry.module
+		})),
+		aliasOf: aliased
+	};
+}
@@ -0,0 +1,218 @@
+"use strict";
+
+/*
+ * Runs an application from (structured) wiring: boots it, starts its services, and runs the app
+ * if it has a run method, then shuts down once the app has finished, or the process receives a
+ * signal, or has an unhandled rejection. Shutting down stops the services, waits for the scope
+ * containers still open (e.g. for requests in flight) to be disposed, disposes the containers,
+ * and exits.
+ *
+ * The process is injected (it need only have on, removeListener, exit and stderr.write), so a
+ * fake can be used for testing.
+ */
+exports.Runner = class Runner {
+
+	constructor(wiring, runProcess, { signals, drainTimeout }) {
+		this._wiring = wiring;
+		this._process = runProcess;
+		this._drainTimeout = drainTimeout;
+
+		this._bootContainer = null;
+		this._lifecycle = null;
+
+		/*
+		 * Promise for the exit code, once shutting down has begun.
+		 */
+		this._shutdown = null;
+
+		/*
+		 * Promise for the exit code, which resolves once the process has been told to exit.
+		 */
+		this._exited = new Promise((resolve) => {
+			this._resolveExited = resolve;
+		});
+		this._exitCode = null;
+
+		this._listeners = new Map(signals.map((signal) => [signal, () => this._onSignal(signal)]));
+		this._listeners.set('unhandledRejection', (reason) => this._onUnhandledRejection(reason));
+	}
+
+	async run(bootOptions) {
+		this._listeners.forEach((listener, event) => this._process.on(event, listener));
+
+		/*
+		 * Once shutting down has begun (e.g. because of a signal while booting), any failure
+		 * is most likely because the containers have been disposed, so isn't reported.
+		 */
+		this._bootAndRun(bootOptions).then((finished) => {
+			if (finished) {
+				this._shutDown(0);
+			}
+		}, (error) => {
+			if (!this._shutdown) {
+				this._report("failed to run app", error);
+				this._shutDown(1);
+			}
+		});
+
+		return await this._exited;
+	}
+
+	/*
+	 * Resolves to whether the app has finished running. Without a run method, it runs (using
+	 * its services) until it's shut down.
+	 */
+	async _bootAndRun(bootOptions) {
+		const bootContainer = await this._wiring.createBootContainer(bootOptions);
+		if (this._shutdown) {
+			await bootContainer.dispose();
+			return false;
+		}
+		this._bootContainer = bootContainer;
+
+		const appContainer = await bootContainer.get('appContainer');
+		this._lifecycle = await appContainer.get('lifecycle');
+		await this._lifecycle.start();
+
+		if (appContainer._registrationRecords.has('app')) {
+			const app = await appContainer.get('app');
+			if (app && typeof app.run === 'function') {
+				await app.run();
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	_onSignal(signal) {
+		if (this._shutdown) {
+			this._report(`received ${signal} while shutting down; exiting immediately`);
+			this._exit(1);
+			return;
+		}
+
+		this._shutDown(0);
+	}
+
+	_onUnhandledRejection(reason) {
+		this._report("unhandled rejection", reason);
+
+		this._shutDown(1);
+	}
+
+	/*
+	 * Shutting down only happens once, whatever triggers it first determining the exit code
+	 * (unless shutting down fails).
+	 */
+	_shutDown(exitCode) {
+		if (!this._shutdown) {
+			this._shutdown = this._stopAndDispose(exitCode);
+		}
+
+		return this._shutdown;
+	}
+
+	async _stopAndDispose(exitCode) {
+		let code = exitCode;
+
+		const attempt = async (description, step) => {
+			try {
+				await step();
+			} catch (error) {
+				this._report(`failed to ${description}`, error);
+				code = 1;
+			}
+		};
+
+		if (this._lifecycle) {
+			await attempt("stop services", () => this._lifecycle.stop());
+		}
+
+		await attempt("drain scope containers", () => this._drainScopes());
+
+		if (this._bootContainer) {
+			await attempt("dispose containers", () => this._bootContainer.dispose());
+		}
+
+		this._listeners.forEach((listener, event) =>
+				this._process.removeListener(event, listener));
+
+		this._exit(code);
+
+		return code;
+	}
+
+	/*
+	 * The process is only told to exit once (so shutting down which finishes after exiting
+	 * immediately doesn't exit again), and run() resolves to the code it was told.
+	 */
+	_exit(code) {
+		if (this._exitCode !== null) {
+			return;
+		}
+
+		this._exitCode = code;
+		this._process.exit(code);
+		this._resolveExited(code);
+	}
+
+	/*
+	 * Scope containers which are still open are given until the drain timeout to be disposed
+	 * by whatever created them, then any remaining are disposed regardless.
+	 */
+	async _drainScopes() {
+		const openScopes = this._wiring._openScopes;
+		if (openScopes.size === 0) {
+			return;
+		}
+
+		let timer;
+		await Promise.race([
+			Promise.all([...openScopes].map((scope) => scope._disposed)),
+			new Promise((resolve) => {
+				timer = setTimeout(resolve, this._drainTimeout);
+			})
+		]);
+		clearTimeout(timer);
+
+		const remaining = [...openScopes];
+		if (remaining.length) {
+			this._report(`${remaining.length} scope container(s) still open after ` +
+					`${this._drainTimeout}ms; disposing them`);
+		}
+
+		/*
+		 * Every scope is disposed, even if disposing others fails.
+		 */
+		const errors = [];
+		for (const scope of remaining) {
+			await scope.dispose().catch((error) => errors.push(error));
+		}
+
+		if (errors.length) {
+			throw new AggregateError(errors, `${errors.length} scope container(s) failed to ` +
+					`dispose`);
+		}
+	}
+
+	_report(message, error) {
+		const detail = typeof error === 'undefined' ? '' : `: ${_describeError(error, '')}`;
+
+		this._process.stderr.write(`${message}${detail}\n`);
+	}
+
+};
+
+/*
+ * Errors aggregated by an AggregateError (such as from disposing several containers) are
+ * described too, indented below it.
+ */
+function _describeError(error, indent) {
+	const description = error && error.stack ? error.stack : `${error}`;
+	const aggregated = error instanceof AggregateError ?
+			error.errors.map((each) => `\n${indent}  ${_describeError(each, `${indent}  `)}`) :
+			[];
+
+	return description.replace(/\n/g, `\n${indent}`) + aggregated.join('');
+}
@@ -1,6 +1,22 @@
 "use strict";
 
+const { AsyncLocalStorage } = require('async_hooks');
+
 const { WiringBuilder, Wiring } = require('./wiring');
+const { findWiringProblems } = require('./validation');
+const { Lifecycle } = require('./lifecycle');
+const { Runner } = require('./runner');
+
+/*
+ * The scope containers which work is being run in (see runInScope), by scope type.
+ */
+const currentScopes = new AsyncLocalStorage();
+
+/*
+ * The profile each wiring adjuster added by forProfile is for, so the wiring can recognise
+ * them.
+ */
+const profileWiringAdjusters = new WeakMap();
 
 exports.StructuredWiringBuilder = class StructuredWiringBuilder extends WiringBuilder {
 
@@ -8,37 +24,100 @@ exports.StructuredWiringBuilder = class StructuredWiringBuilder extends WiringBu
 		super(wiring ? wiring : new StructuredWiring());
 
 		this.adjustBootContainer(_populateBootContainer);
+		this.adjustBootContainer(_completeBootContainer, { priority: Number.MAX_SAFE_INTEGER });
 		this.adjustAppContainer(_populateAppContainer);
+		this.adjustAppContainer(_completeAppContainer, { priority: Number.MAX_SAFE_INTEGER });
+		this.adjustScopeContainer(_populateScopeContainer, { priority: Number.MAX_SAFE_INTEGER });
+
+		/*
+		 * These adjusters are added by every StructuredWiringBuilder, so attribute them to
+		 * this library rather than the first wiring module which happens to be built with them.
+		 */
+		this._wiring._adjusterModules.set(_populateBootContainer, 'modular-async-di');
+		this._wiring._adjusterModules.set(_completeBootContainer, 'modular-async-di');
+		this._wiring._adjusterModules.set(_populateAppContainer, 'modular-async-di');
+		this._wiring._adjusterModules.set(_completeAppContainer, 'modular-async-di');
+		this._wiring._adjusterModules.set(_populateScopeContainer, 'modular-async-di');
 	}
 
-	adjustBootContainer(adjuster) {
-		return this.adjustContainer('Boot', adjuster);
+	adjustBootContainer(adjuster, ordering) {
+		return this.adjustContainer('Boot', adjuster, ordering);
 	}
 
 	adjustWiringAfterBoot(adjuster) {
 		return this.adjustWiringAfter('Boot', adjuster);
 	}
 
-	adjustAppContainer(adjuster) {
-		return this.adjustContainer('App', adjuster);
+	adjustAppContainer(adjuster, ordering) {
+		return this.adjustContainer('App', adjuster, ordering);
+	}
+
+	forProfile(profile, wiringOrConfigure) {
+		if (!StructuredWiring.isValidProfile(profile)) {
+			throw new TypeError("invalid profile");
+		}
+
+		let wiring = wiringOrConfigure;
+		if (typeof wiringOrConfigure === 'function') {
+			const profileBuilder = new StructuredWiringBuilder();
+			wiringOrConfigure(profileBuilder);
+			wiring = profileBuilder.build();
+		}
+
+		if (!Wiring.isWiring(wiring)) {
+			throw new TypeError("invalid wiring or configuration function");
+		}
+
+		/*
+		 * Profiles are chosen while creating the bootstrap container, so their wiring is added
+		 * after it, and can't adjust the bootstrap container itself.
+		 */
+		const profileWiring = async (addWiring, bootContainer) => {
+			if ((await bootContainer.get('activeProfiles')).includes(profile)) {
+				addWiring(wiring);
+			}
+		};
+		Object.defineProperty(profileWiring, 'name', { value: `${profile}ProfileWiring` });
+		profileWiringAdjusters.set(profileWiring, profile);
+
+		return this.adjustWiringAfterBoot(profileWiring);
 	}
 
-	adjustScopeContainer(scopeTypeOrAdjuster, maybeAdjuster) {
+	adjustScopeContainer(scopeTypeOrAdjuster, maybeAdjuster, maybeOrdering) {
 		if (typeof scopeTypeOrAdjuster === 'string') {
 			if (!StructuredWiring.isValidScopeType(scopeTypeOrAdjuster)) {
 				throw new TypeError("invalid scope type");
 			}
 
-			return this.adjustContainer(`Scope.${scopeTypeOrAdjuster}`, maybeAdjuster);
+			return this.adjustContainer(`Scope.${scopeTypeOrAdjuster}`, maybeAdjuster,
+					maybeOrdering);
 		}
 
-		return this.adjustContainer('Scope', scopeTypeOrAdjuster);
+		return this.adjustContainer('Scope', scopeTypeOrAdjuster, maybeAdjuster);
 	}
 
 };
 
 class StructuredWiring extends Wiring {
 
+	constructor(wiring) {
+		super(wiring);
+
+		/*
+		 * The profiles chosen when the bootstrap container was created (see the activeProfiles
+		 * bean), or null if it hasn't been created yet. They are only chosen if there is
+		 * wiring for profiles, so wiring without any doesn't get the bean (or interpret the
+		 * boot options' profiles).
+		 */
+		this.activeProfiles = wiring && wiring.activeProfiles ? wiring.activeProfiles : null;
+
+		/*
+		 * Scope containers created (from wiring cloned from this wiring) which haven't been
+		 * disposed yet, shared like autoStubs, or null unless tracked by run().
+		 */
+		this._openScopes = wiring && wiring._openScopes ? wiring._openScopes : null;
+	}
+
 	createBootContainer(bootOptions) {
 		return this.createContainer('Boot', bootOptions);
 	}
@@ -50,27 +129,270 @@ class StructuredWiring extends Wiring {
 		 */
 		const bootContainer = await this.createContainer('Boot', bootOptions);
 
-		return await bootContainer.get('appContainer');
+		/*
+		 * The caller can't dispose the bootstrap container if the app container fails to be
+		 * created, so it's disposed here.
+		 */
+		try {
+			return await bootContainer.get('appContainer');
+		} catch (error) {
+			await bootContainer.dispose().catch(() => {});
+
+			throw error;
+		}
 	}
 
 	createScopeContainer(scopeType, ...args) {
 		return this.createContainer(`Scope.${scopeType}`, ...args);
 	}
 
-	createScopeContainerFactory(scopeType, ...args) {
-		return this.createContainerFactory(`Scope.${scopeType}`, ...args);
+	async createScopeContainerFactory(scopeType, ...args) {
+		const createScopeContainer =
+				await this.createContainerFactory(`Scope.${scopeType}`, ...args);
+
+		createScopeContainer.runInScope = async (work, ...callerArgs) =>
+				await _runInScope(scopeType, await createScopeContainer(...callerArgs), work);
+
+		return createScopeContainer;
+	}
+
+	describe() {
+		return { ...super.describe(), activeProfiles: this.activeProfiles };
+	}
+
+	async run(bootOptions, {
+		process: runProcess = process,
+		signals = ['SIGTERM', 'SIGINT', 'SIGHUP'],
+		drainTimeout = 10000
+	} = {}) {
+		if (!Array.isArray(signals) ||
+				!signals.every((signal) => typeof signal === 'string' && signal !== '')) {
+			throw new TypeError("invalid signals");
+		}
+
+		if (!Number.isFinite(drainTimeout) || drainTimeout < 0) {
+			throw new TypeError("invalid drain timeout");
+		}
+
+		const wiring = new this.constructor(this);
+		wiring._openScopes = new Set();
+
+		return await new Runner(wiring, runProcess, { signals, drainTimeout }).run(bootOptions);
+	}
+
+	async validate(bootOptions, { scopeArguments = {} } = {}) {
+		/*
+		 * A dry run: the containers are created (so all adjusters run and register their
+		 * beans), but no beans are requested from them, so nothing is instantiated. Scope
+		 * containers are created with the app container as their only argument unless
+		 * scopeArguments supplies a function returning the arguments for that scope type.
+		 */
+		const containers = [];
+		const problems = [];
+
+		const createContainer = async (wiring, containerType, args) => {
+			try {
+				const container = await wiring.createContainer(containerType, ...args);
+				containers.push(container);
+
+				return container;
+			} catch (error) {
+				problems.push({
+					kind: 'adjusterFailed',
+					containerType,
+					error,
+					message: `creating ${containerType} container failed: ${error.message}`
+				});
+
+				return null;
+			}
+		};
+
+		try {
+			const bootContainer = await createContainer(this, 'Boot', [bootOptions]);
+			const appContainer = bootContainer &&
+					await createContainer(bootContainer._wiring, 'App', [bootContainer]);
+
+			/*
+			 * Nested scope containers are created from their parent scope containers, so
+			 * parents (which have shorter scope types) are created first.
+			 */
+			if (appContainer) {
+				const scopeTypes = Object.keys(appContainer._wiring._containerAdjusters)
+				.filter((containerType) => containerType.startsWith('.Scope.'))
+				.map((containerType) => containerType.slice('.Scope.'.length))
+				.sort((a, b) => a.split('.').length - b.split('.').length);
+				const scopeContainers = new Map();
+
+				for (const scopeType of scopeTypes) {
+					const parentScopeType = scopeType.split('.').slice(0, -1).join('.');
+					const parentContainer = parentScopeType ?
+							scopeContainers.get(parentScopeType) : appContainer;
+					if (!parentContainer) {
+						continue;
+					}
+
+					const args = scopeArguments[scopeType] ?
+							await scopeArguments[scopeType](appContainer) : [appContainer];
+
+					const scopeContainer = await createContainer(parentContainer._wiring,
+							`Scope.${scopeType}`, args);
+					if (scopeContainer) {
+						scopeContainers.set(scopeType, scopeContainer);
+					}
+				}
+			}
+
+			problems.push(...findWiringProblems(containers));
+		} finally {
+			/*
+			 * Every container is disposed, and a container which fails to dispose (e.g. a
+			 * disposer which throws) is reported as a problem.
+			 */
+			for (const container of containers.reverse()) {
+				try {
+					await container.dispose();
+				} catch (error) {
+					problems.push({
+						kind: 'disposeFailed',
+						containerType: container.containerType,
+						error,
+						message: `disposing ${container.containerType} container failed: ` +
+								`${error.message}`
+					});
+				}
+			}
+		}
+
+		return { valid: problems.length === 0, problems };
+	}
+
+	/*
+	 * There is only one bootstrap container and one application container along any branch,
+	 * so e.g. a bean in a scope container can't create another application container. Nested
+	 * scope containers can only be created from their parent scope containers (or containers
+	 * created from them).
+	 */
+	_ensureCreatableOnBranch(containerType) {
+		if ((containerType === 'Boot' || containerType === 'App') &&
+				this._containerTypesOnBranch.includes(containerType)) {
+			throw new RangeError(`cannot create ${containerType} container from a container ` +
+					`created using the ${containerType} container (or the container itself)`);
+		}
+
+		const parentContainerType = _parentContainerType(containerType);
+		if (parentContainerType && parentContainerType !== 'App' &&
+				!this._containerTypesOnBranch.includes(parentContainerType)) {
+			throw new RangeError(`cannot create ${containerType} container except from a ` +
+					`${parentContainerType} container (or a container created using it)`);
+		}
+	}
+
+	async _createContainer(containerType, ...args) {
+		const container = await super._createContainer(containerType, ...args);
+
+		/*
+		 * The profile wiring adjusters have chosen the profiles (from the bootstrap container's
+		 * activeProfiles bean) by now, so the wiring (and wiring cloned from it, for ensuing
+		 * containers) records them, to describe them.
+		 */
+		if (containerType === 'Boot' && this._hasProfileWiring()) {
+			this.activeProfiles = await container.get('activeProfiles');
+		}
+
+		if (this._openScopes && containerType.startsWith('Scope.')) {
+			this._openScopes.add(container);
+			container._disposed.then(() => this._openScopes.delete(container));
+		}
+
+		return container;
+	}
+
+	_hasProfileWiring() {
+		return [...this._wiringSuppliedByWiringAdjusters.keys()]
+		.some((adjuster) => profileWiringAdjusters.has(adjuster));
+	}
+
+	_describeWiringAdjuster(wiringAdjuster) {
+		if (!profileWiringAdjusters.has(wiringAdjuster)) {
+			return super._describeWiringAdjuster(wiringAdjuster);
+		}
+
+		const profile = profileWiringAdjusters.get(wiringAdjuster);
+
+		return {
+			profile,
+			active: this.activeProfiles ? this.activeProfiles.includes(profile) : null
+		};
+	}
+
+	_getFacadeMethodNames() {
+		return super._getFacadeMethodNames()
+		.concat(['createScopeContainer', 'createScopeContainerFactory']);
+	}
+
+	_describeContainerCreationBy(methodName, scopeType) {
+		if (methodName === 'createScopeContainer') {
+			return { containerType: `Scope.${scopeType}`, factory: false };
+		}
+
+		if (methodName === 'createScopeContainerFactory') {
+			return { containerType: `Scope.${scopeType}`, factory: true };
+		}
+
+		return super._describeContainerCreationBy(methodName, scopeType);
 	}
 
 }
 
 Wiring.isValidScopeType = function (scopeType) {
 	return typeof scopeType === 'string' &&
-			scopeType !== '' &&
-			!scopeType.includes('.');
+			scopeType.split('.').every((segment) => segment !== '');
+};
+
+Wiring.isValidProfile = function (profile) {
+	return typeof profile === 'string' &&
+			/^[A-Za-z0-9_-]+$/.test(profile);
 };
 
 exports.StructuredWiring = StructuredWiring;
 
+exports.currentScope = function (scopeType) {
+	if (!StructuredWiring.isValidScopeType(scopeType)) {
+		throw new TypeError("invalid scope type");
+	}
+
+	const scopes = currentScopes.getStore();
+
+	return scopes && scopes.has(scopeType) ? scopes.get(scopeType) : null;
+};
+
+/*
+ * Work run in a scope container can find it using currentScope(), however deep in the call
+ * stack, without it being threaded through. Scopes of other types the work is nested in remain
+ * current. Once the work has finished, the container is disposed, and is no longer current even
+ * for anything the work left running.
+ */
+async function _runInScope(scopeType, container, work) {
+	const scopes = new Map(currentScopes.getStore());
+	scopes.set(scopeType, container);
+
+	let result;
+	try {
+		result = await currentScopes.run(scopes, () => work(container));
+	} catch (error) {
+		await container.dispose().catch(() => {});
+
+		throw error;
+	} finally {
+		scopes.delete(scopeType);
+	}
+
+	await container.dispose();
+
+	return result;
+}
+
 function _populateBootContainer(container) {
 	const { register, factory, value, bean } = container;
 
@@ -79,9 +401,90 @@ function _populateBootContainer(container) {
 	register('app', bean('appContainer.app'));
 }
 
+/*
+ * Like _completeAppContainer, this runs after the other bootstrap container adjusters, so it
+ * only registers the activeProfiles bean if they haven't.
+ */
+function _completeBootContainer(container, bootOptions) {
+	const { register, factory, value } = container;
+
+	if (!container._registrationRecords.has('activeProfiles')) {
+		register('activeProfiles', factory(_chooseActiveProfiles), value(bootOptions));
+	}
+}
+
+/*
+ * Profiles given in the boot options take precedence over the WIRING_PROFILES environment
+ * variable (a comma-separated list). A bootstrap container adjuster can also register its own
+ * activeProfiles bean to choose them some other way (e.g. from configuration).
+ */
+function _chooseActiveProfiles(bootOptions) {
+	const profiles = bootOptions && typeof bootOptions.profiles !== 'undefined' ?
+			bootOptions.profiles :
+			(process.env.WIRING_PROFILES || '').split(',').map((profile) => profile.trim())
+			.filter((profile) => profile !== '');
+
+	if (!Array.isArray(profiles) || !profiles.every(StructuredWiring.isValidProfile)) {
+		throw new TypeError("invalid profiles");
+	}
+
+	return profiles;
+}
+
 function _populateAppContainer(container, bootContainer) {
 	const { register, value } = container;
 
 	register('bootContainer', value(bootContainer));
 }
 
+/*
+ * Like _populateScopeContainer, this runs after the other application container adjusters, so
+ * it only registers the beans they haven't (e.g. wiring with a lifecycle bean of its own).
+ */
+function _completeAppContainer(container) {
+	const { register, constructor, value } = container;
+
+	if (!container._registrationRecords.has('lifecycle')) {
+		register('lifecycle', constructor(Lifecycle), value(container));
+	}
+}
+
+/*
+ * This runs after the other scope adjusters, so it only registers the beans they haven't
+ * (e.g. wiring written before they were registered automatically registers appContainer
+ * itself). Scope containers created without an application container (e.g. directly from
+ * built wiring, for testing) don't have the beans for the containers which weren't created.
+ */
+function _populateScopeContainer(container) {
+	const { register, value } = container;
+
+	const containersOnBranch = container._wiring._containersOnBranch.slice(0, -1);
+	const nearest = (containerType) => containersOnBranch.slice().reverse()
+	.find((containerOnBranch) => containerOnBranch.containerType === containerType);
+
+	const beans = {
+		parentContainer: nearest(_parentContainerType(container.containerType)),
+		appContainer: nearest('App'),
+		bootContainer: nearest('Boot')
+	};
+
+	Object.entries(beans).forEach(([name, beanContainer]) => {
+		if (beanContainer && !container._registrationRecords.has(name)) {
+			register(name, value(beanContainer));
+		}
+	});
+}
+
+/*
+ * The parent of a top-level scope type is the application container type.
+ */
+function _parentContainerType(containerType) {
+	if (!containerType.startsWith('Scope.')) {
+		return null;
+	}
+
+	const segments = containerType.split('.');
+
+	return segments.length > 2 ? segments.slice(0, -1).join('.') : 'App';
+}
+
@@ -0,0 +1,148 @@
+"use strict";
+
+const { StructuredWiringBuilder } = require('./structured-wiring');
+
+/*
+ * Retained names for spied beans must be unique within each container (across all wiring,
+ * since test wiring may be imported into further test wiring, and so spy on the same bean
+ * more than once) and must not contain dots (or they would be registered as properties of
+ * other beans). They are numbered per container, so numbering starts again with each one.
+ */
+const spyCounts = new WeakMap();
+
+/*
+ * Spies run after every other adjuster, so they wrap whichever bean ends up registered, and a
+ * disposer registered for it (by an adjuster added before or after the spy) has already been
+ * retained with it.
+ */
+const SPY_PRIORITY = Number.MAX_SAFE_INTEGER;
+
+exports.TestWiringBuilder = class TestWiringBuilder extends StructuredWiringBuilder {
+
+	constructor(wiring) {
+		super(wiring);
+
+		/*
+		 * Fakes created and calls captured since the last bootstrap container was created (or
+		 * the builder was reset), keyed by container type and bean name. They are kept across
+		 * containers of the type, so calls made in concurrent scope containers are all kept.
+		 */
+		this._captured = new Map();
+
+		const builder = this;
+		this.adjustBootContainer(async function testWiringReset() {
+			builder.reset();
+		});
+	}
+
+	replaceBean(containerType, beanName, createFake) {
+		if (typeof beanName !== 'string' || beanName === '') {
+			throw new TypeError("invalid bean name");
+		}
+
+		if (typeof createFake !== 'function') {
+			throw new TypeError("invalid fake creator");
+		}
+
+		const builder = this;
+		return this.adjustContainer(containerType, async function testWiringFake(container,
+				...args) {
+			const { register, replacement, factory } = container;
+
+			register(replacement(beanName), factory(async () => {
+				const fake = await createFake(...args);
+				builder._capturedFor(containerType, beanName).fakes.push(fake);
+
+				return fake;
+			}));
+		});
+	}
+
+	spyOnBean(containerType, beanName) {
+		if (typeof beanName !== 'string' || beanName === '') {
+			throw new TypeError("invalid bean name");
+		}
+
+		const builder = this;
+		return this.adjustContainer(containerType, async function testWiringSpy(container) {
+			const { register, replacement, factory, disposer } = container;
+			const spyCount = spyCounts.get(container) || 0;
+			const retainedName = `testWiringSpied#${spyCount}`;
+			spyCounts.set(container, spyCount + 1);
+
+			register(replacement(beanName, retainedName), factory((bean) =>
+				_spyOn(beanName, bean, builder._capturedFor(containerType, beanName).calls)),
+				retainedName);
+
+			// The spied bean is disposed under its retained name, so the spy must not be.
+			disposer(beanName, () => {});
+		}, { priority: SPY_PRIORITY });
+	}
+
+	fakes(containerType, beanName) {
+		return this._capturedFor(containerType, beanName).fakes;
+	}
+
+	calls(containerType, beanName) {
+		return this._capturedFor(containerType, beanName).calls;
+	}
+
+	reset() {
+		this._captured.forEach((captured) => {
+			captured.fakes.length = 0;
+			captured.calls.length = 0;
+		});
+	}
+
+	_capturedFor(containerType, beanName) {
+		const key = `${containerType}:${beanName}`;
+
+		if (!this._captured.has(key)) {
+			this._captured.set(key, { fakes: [], calls: [] });
+		}
+
+		return this._captured.get(key);
+	}
+
+};
+
+function _spyOn(beanName, bean, calls) {
+	if (typeof bean === 'function') {
+		return new Proxy(bean, {
+			apply(target, thisArg, args) {
+				calls.push({ method: null, args });
+
+				return Reflect.apply(target, thisArg, args);
+			}
+		});
+	}
+
+	if (bean === null || typeof bean !== 'object') {
+		throw new TypeError(`cannot spy on bean '${beanName}' which is not an object or function`);
+	}
+
+	/*
+	 * Methods are called on the bean itself, not the proxy, so they work even if they use
+	 * private fields. The same wrapper is returned each time so methods can be compared.
+	 */
+	const wrappers = new Map();
+
+	return new Proxy(bean, {
+		get(target, property) {
+			const member = Reflect.get(target, property);
+			if (typeof member !== 'function' || typeof property !== 'string') {
+				return member;
+			}
+
+			if (!wrappers.has(property)) {
+				wrappers.set(property, (...args) => {
+					calls.push({ method: property, args });
+
+					return Reflect.apply(target[property], target, args);
+				});
+			}
+
+			return wrappers.get(property);
+		}
+	});
+}
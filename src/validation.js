@@ -0,0 +1,315 @@
+"use strict";
+
+/*
+ * Static analysis of the registrations in created containers, which finds references to beans
+ * and container types that don't exist, dependency cycles, and captive dependencies (see
+ * findCaptiveDependencies), without creating any beans.
+ *
+ * Containers which are only created by beans (e.g. the application container, created by the
+ * appContainer bean in the bootstrap container) can be followed if a container of that type is
+ * included in the analysis, so references like 'appContainer.app' are checked too.
+ */
+exports.findWiringProblems = function (containers) {
+	const containersByType = new Map();
+	containers.forEach((container) => {
+		containersByType.set(container.containerType, container);
+	});
+
+	const linkedContainerFor = (container, name) => {
+		const creation = _describeContainerCreation(container, name);
+
+		return creation && !creation.factory ?
+				containersByType.get(creation.containerType) || null : null;
+	};
+
+	const problems = [];
+	const dependencies = new Map();
+
+	containers.forEach((container) => {
+		container._registrationRecords.forEach((record) => {
+			if (record.name === 'wiring') {
+				return;
+			}
+
+			const node = _nodeFor(container, record.name);
+			dependencies.set(node, []);
+
+			const creation = _describeContainerCreation(container, record.name);
+			if (creation && !container._wiring._hasContainerType(creation.containerType)) {
+				problems.push(_problem('missingContainerType', container, record, {
+					reference: creation.containerType,
+					message: `bean '${record.name}' in ${container.containerType} container ` +
+							`creates unknown container type '${creation.containerType}'`
+				}));
+			}
+
+			record.dependencies.forEach((dependency) => {
+				if (!dependency.name) {
+					return;
+				}
+
+				const [holder, name] = container._locateBean(dependency.name,
+						linkedContainerFor);
+
+				if (!holder._registrationRecords.has(name)) {
+					problems.push(_problem('missingBean', container, record, {
+						reference: dependency.name,
+						message: `bean '${record.name}' in ${container.containerType} ` +
+								`container depends on '${dependency.name}' which is not ` +
+								`registered` + (holder === container ? '' :
+								` (looked for '${name}' in ${holder.containerType} container)`)
+					}));
+					return;
+				}
+
+				if (!dependency.lazy) {
+					dependencies.get(node).push(_nodeFor(holder, name));
+				}
+			});
+		});
+	});
+
+	_findCycles(dependencies).forEach((cycle) => {
+		const { container, name } = cycle[0];
+		const record = container._registrationRecords.get(name);
+		const path = cycle.concat([cycle[0]])
+		.map((node) => `${node.container.containerType}:${node.name}`);
+
+		problems.push(_problem('cycle', container, record, {
+			cycle: path,
+			message: `dependency cycle: ${path.join(' -> ')}`
+		}));
+	});
+
+	containers.forEach((container) => {
+		problems.push(...exports.findCaptiveDependencies(container,
+				[...container._registrationRecords.keys()], linkedContainerFor));
+	});
+
+	return problems;
+};
+
+/*
+ * A bean in a container can use a bean in a longer-lived container (one created before it,
+ * along its branch, such as the application container for a scope container), by aliasing
+ * it, depending on it, or finding it in a fallback container. If that longer-lived bean
+ * depends on a bean which the container overrides with its own (e.g. a decorated logger), the
+ * longer-lived bean has captured the longer-lived version, which the container's bean then
+ * uses instead of the container's own. Each of the named beans is followed through its
+ * dependencies to find these, reporting each capture once, with the path to it from the first
+ * of the beans which leads to it.
+ */
+exports.findCaptiveDependencies = function (container, names,
+		linkedContainerFor = () => null) {
+	const longerLivedContainers = container._wiring ?
+			container._wiring._containersOnBranch.filter((held) => held !== container) : [];
+	const problems = [];
+	const captures = new Set();
+
+	names.filter((name) => name !== 'wiring' && _recordFor(container, name))
+	.forEach((name) => {
+		const visited = new Set();
+		const path = [];
+
+		const visit = (node) => {
+			if (visited.has(node)) {
+				return;
+			}
+
+			visited.add(node);
+			path.push(node);
+
+			const previous = path[path.length - 2];
+			if (!previous || previous.container === container ||
+					!_isOverridden(container, node, linkedContainerFor)) {
+				_dependencyNodes(node, linkedContainerFor)
+				.filter((dependency) => dependency.container === container ||
+						longerLivedContainers.includes(dependency.container))
+				.forEach(visit);
+			} else {
+				const description = path.map((pathNode) =>
+						`${pathNode.container.containerType}:${pathNode.name}`);
+				const [capturing, captured] = description.slice(-2);
+
+				if (!captures.has(`${capturing} ${captured}`)) {
+					captures.add(`${capturing} ${captured}`);
+					problems.push(_problem('captiveDependency', container,
+							_recordFor(container, name), {
+								reference: node.name,
+								path: description,
+								message: `bean '${name}' in ${container.containerType} ` +
+										`container uses ${capturing}, which captures ${captured} ` +
+										`although the ${container.containerType} container ` +
+										`overrides '${node.name}': ${description.join(' -> ')}`
+							}));
+				}
+			}
+
+			path.pop();
+		};
+
+		visit(_nodeFor(container, name));
+	});
+
+	return problems;
+};
+
+/*
+ * The registration a bean is created from: its own or, for a bean which is to be
+ * re-instantiated but hasn't been yet, the registration in the container it is found in.
+ */
+function _recordFor(container, name) {
+	if (container._registrationRecords.has(name)) {
+		return container._registrationRecords.get(name);
+	}
+
+	const beanName = name.split('.')[0];
+	const registeringContainer = container._reinstantiatedBeans.has(beanName) &&
+			container._fallbackContainer &&
+			container._fallbackContainer._findRegistering(beanName);
+
+	return registeringContainer ? registeringContainer._registrationRecords.get(name) || null :
+			null;
+}
+
+/*
+ * Like ManagedContainer#_locateBean, except that beans which are to be re-instantiated are
+ * located in the container itself.
+ */
+function _locate(container, name, linkedContainerFor) {
+	const beanName = name.split('.')[0];
+	if (!container._registrationRecords.has(beanName) && _recordFor(container, beanName)) {
+		return [container, _recordFor(container, name) ? name : beanName];
+	}
+
+	return container._locateBean(name, linkedContainerFor);
+}
+
+/*
+ * A bean found in a fallback container (and registered to share it) depends only on the bean
+ * it shares.
+ */
+function _dependencyNodes({ container, name }, linkedContainerFor) {
+	const [holder, heldName] = _locate(container, name, linkedContainerFor);
+	if (holder !== container) {
+		return [_nodeFor(holder, heldName)];
+	}
+
+	const record = _recordFor(container, name);
+
+	return record ? record.dependencies
+	.filter((dependency) => dependency.name)
+	.map((dependency) => _nodeFor(..._locate(container, dependency.name, linkedContainerFor)))
+	.filter((node) => _recordFor(node.container, node.name)) : [];
+}
+
+/*
+ * Whether the container has a bean of its own under the same name as the bean in a
+ * longer-lived container, rather than an alias of it (or the same value, like the
+ * bootContainer bean which every container after the bootstrap container has).
+ */
+function _isOverridden(container, { container: holder, name }, linkedContainerFor) {
+	if (name === 'wiring' || _locate(container, name, linkedContainerFor)[0] !== container ||
+			!_recordFor(container, name)) {
+		return false;
+	}
+
+	const [ownHolder, ownName] = _followAliases(container, name, linkedContainerFor);
+	const [heldHolder, heldName] = _followAliases(holder, name, linkedContainerFor);
+	if (ownHolder === heldHolder && ownName === heldName) {
+		return false;
+	}
+
+	const ownRecord = _recordFor(ownHolder, ownName);
+	const heldRecord = _recordFor(heldHolder, heldName);
+
+	return !(ownRecord && heldRecord && ownRecord.creator === 'value' &&
+			heldRecord.creator === 'value' && ownRecord.value === heldRecord.value);
+}
+
+function _followAliases(container, name, linkedContainerFor) {
+	const followed = new Set();
+	let located = [container, name];
+
+	while (!followed.has(_nodeFor(...located))) {
+		followed.add(_nodeFor(...located));
+
+		const record = _recordFor(...located);
+		if (!record || record.creator !== 'alias') {
+			break;
+		}
+
+		located = _locate(located[0], record.dependencies[0].name, linkedContainerFor);
+	}
+
+	return located;
+}
+
+function _describeContainerCreation(container, name) {
+	const record = container._registrationRecords.get(name);
+
+	return record && container._wiring ? container._wiring._describeContainerCreation(record) :
+			null;
+}
+
+/*
+ * Nodes in the dependency graph are the same object for the same bean, so they can be used as
+ * keys.
+ */
+const nodes = new WeakMap();
+
+function _nodeFor(container, name) {
+	if (!nodes.has(container)) {
+		nodes.set(container, new Map());
+	}
+
+	const containerNodes = nodes.get(container);
+	if (!containerNodes.has(name)) {
+		containerNodes.set(name, { container, name });
+	}
+
+	return containerNodes.get(name);
+}
+
+function _problem(kind, container, record, details) {
+	return {
+		kind,
+		containerType: container.containerType,
+		bean: record.name,
+		adjuster: record.adjuster ? record.adjuster.name || null : null,
+		module: record.module,
+		...details
+	};
+}
+
+/*
+ * Depth-first search, reporting each cycle once, starting from the first of its beans to be
+ * registered.
+ */
+function _findCycles(dependencies) {
+	const cycles = [];
+	const finished = new Set();
+	const path = [];
+
+	const visit = (node) => {
+		if (finished.has(node)) {
+			return;
+		}
+
+		const index = path.indexOf(node);
+		if (index !== -1) {
+			cycles.push(path.slice(index));
+			return;
+		}
+
+		path.push(node);
+		(dependencies.get(node) || []).forEach(visit);
+		path.pop();
+
+		finished.add(node);
+	};
+
+	dependencies.forEach((nodeDependencies, node) => visit(node));
+
+	return cycles;
+}
@@ -1,6 +1,10 @@
 "use strict";
 
-const { Container, value } = require('minimalist-async-di');
+const { value } = require('minimalist-async-di');
+const { ManagedContainer } = require('./managed-container');
+const { AutoStubs } = require('./auto-stubs');
+const { CaptiveDependencies } = require('./captive-dependencies');
+const { isValidOrdering, sortByOrdering } = require('./ordering');
 
 exports.WiringBuilder = class WiringBuilder {
 
@@ -25,7 +29,7 @@ exports.WiringBuilder = class WiringBuilder {
 		return this;
 	}
 
-	adjustContainer(containerType, containerAdjuster) {
+	adjustContainer(containerType, containerAdjuster, ordering) {
 		if (!Wiring.isValidContainerType(containerType)) {
 			throw new TypeError("invalid container type");
 		}
@@ -34,7 +38,11 @@ exports.WiringBuilder = class WiringBuilder {
 			throw new TypeError("invalid adjuster");
 		}
 
-		this._wiring._adjustContainer(containerType, containerAdjuster);
+		if (typeof ordering !== 'undefined' && !isValidOrdering(ordering)) {
+			throw new TypeError("invalid ordering");
+		}
+
+		this._wiring._adjustContainer(containerType, containerAdjuster, ordering);
 
 		return this;
 	}
@@ -63,11 +71,111 @@ exports.WiringBuilder = class WiringBuilder {
 		return this;
 	}
 
+	contributeToList(containerType, listName, entry, creator, ...dependencies) {
+		return this._contribute('contributeToList', containerType, listName, entry, creator,
+				dependencies);
+	}
+
+	contributeToMap(containerType, mapName, entry, creator, ...dependencies) {
+		return this._contribute('contributeToMap', containerType, mapName, entry, creator,
+				dependencies);
+	}
+
+	requireBeans(containerType, beanNames) {
+		return this._addContract('requiresBean', containerType, beanNames);
+	}
+
+	provideBeans(containerType, beanNames) {
+		return this._addContract('providesBean', containerType, beanNames);
+	}
+
+	requireArguments(containerType, argumentNames) {
+		return this._addContract('requiresArgument', containerType, argumentNames);
+	}
+
+	exclude(...names) {
+		if (names.length === 0 ||
+				!names.every((name) => typeof name === 'string' && name !== '')) {
+			throw new TypeError("invalid adjuster or module names");
+		}
+
+		this._wiring._exclude(names);
+
+		return this;
+	}
+
+	declareModule(moduleName, version) {
+		if (typeof moduleName !== 'string' || moduleName === '') {
+			throw new TypeError("invalid module name");
+		}
+
+		if (typeof version !== 'undefined' && (typeof version !== 'string' || version === '')) {
+			throw new TypeError("invalid module version");
+		}
+
+		this._moduleName = moduleName;
+		this._moduleVersion = version || null;
+
+		return this;
+	}
+
 	build() {
 		/*
 		 * Return a copy of the wiring so any further use of this builder doesn't mutate it.
 		 */
-		return new this._wiring.constructor(this._wiring);
+		const wiring = new this._wiring.constructor(this._wiring);
+
+		if (this._moduleName) {
+			wiring._attributeAdjustersToModule(this._moduleName);
+			wiring._attributeContractsToModule(this._moduleName);
+			wiring._includeModule(this._moduleName, this._moduleVersion);
+		}
+
+		return wiring._freeze();
+	}
+
+	/*
+	 * The contribution is made by a container adjuster named after the bean it registers for
+	 * the entry (e.g. 'routes#users'), so it can be excluded or referred to by that name.
+	 */
+	_contribute(contribute, containerType, collectionName, entry, creator, dependencies) {
+		if (!Wiring.isValidContainerType(containerType)) {
+			throw new TypeError("invalid container type");
+		}
+
+		if (!ManagedContainer.isValidContributionName(collectionName)) {
+			throw new TypeError("invalid collection name");
+		}
+
+		if (!ManagedContainer.isValidContribution(entry)) {
+			throw new TypeError("invalid contribution");
+		}
+
+		const contribution = async (container) => {
+			container[contribute](collectionName, entry, creator, ...dependencies);
+		};
+		Object.defineProperty(contribution, 'name', {
+			value: `${collectionName}#${typeof entry === 'string' ? entry : entry.name}`
+		});
+
+		return this.adjustContainer(containerType, contribution);
+	}
+
+	_addContract(kind, containerType, names) {
+		if (!Wiring.isValidContainerType(containerType)) {
+			throw new TypeError("invalid container type");
+		}
+
+		if (!Array.isArray(names) ||
+				!names.every((name) => typeof name === 'string' && name !== '')) {
+			throw new TypeError("invalid names");
+		}
+
+		names.forEach((name, index) => {
+			this._wiring._addContract({ kind, containerType, name, index, module: null });
+		});
+
+		return this;
 	}
 
 };
@@ -77,7 +185,7 @@ exports.WiringBuilder = class WiringBuilder {
  * registered, and a creation phase, where containers are created. Both phases mutate the
  * wiring object as they progress. During the definition phase, the wiring is private to the
  * WiringBuilder, and mutated by it. Then, between the two phases there is a 'public' and
- * conceptually immutable version of the wiring (returned from the WiringBuilder::build
+ * immutable (frozen) version of the wiring (returned from the WiringBuilder::build
  * method). This 'public' wiring can be imported into another WiringBuilder (a definition-phase
  * copy will be made), added to other definition-phase wiring (via WiringBuilder::addWiring;
  * its content will be copied into the destination wiring), or added to creation-phase wiring
@@ -86,7 +194,8 @@ exports.WiringBuilder = class WiringBuilder {
  * calling Wiring::createContainer, or a factory returned by Wiring::createContainerFactory;
  * a creation-phase copy will be made and placed in the created container). During the creation
  * phase, the wiring is private to the container whose creation transitioned it to that phase,
- * and mutation occurs via wiring adjusters being called.
+ * and mutation occurs via wiring adjusters being called. Beans in the container only get a
+ * facade for it (the wiring bean), which can create further containers but nothing else.
  */
 class Wiring {
 
@@ -121,19 +230,98 @@ class Wiring {
 		 * here. The value is initialised to null, but becomes a Wiring object containing the
 		 * wiring supplied by the adjuster when it is called.
 		 */
-		this._wiringSuppliedByWiringAdjusters = wiring ?
-				new Map(wiring._wiringSuppliedByWiringAdjusters) : new Map();
+		this._wiringSuppliedByWiringAdjusters = new Map();
+
+		/*
+		 * Map from adjusters (of both kinds, used by this wiring and any supplied wiring) to the
+		 * name of the wiring module they belong to. Adjusters which don't belong to a declared
+		 * module are absent.
+		 */
+		this._adjusterModules = new Map();
+
+		/*
+		 * Map from container adjusters (used by this wiring and any supplied wiring) to their
+		 * ordering constraints: the names of adjusters or modules they must run before and
+		 * after, and their priority. Adjusters without constraints are absent.
+		 */
+		this._adjusterOrderings = new Map();
+
+		/*
+		 * Map from the names of wiring modules included in this wiring (or any supplied wiring)
+		 * to their versions (or null if a module has no declared version). Adjusters belonging
+		 * to these modules are not added again when further wiring including them is added,
+		 * since each call to a module's wiring function creates new adjuster functions.
+		 */
+		this._modules = new Map();
+
+		/*
+		 * Requirements and provisions declared by wiring modules (or the wiring itself), which
+		 * are checked when containers of the type they are declared for (or a descendant type)
+		 * are created. Each has a kind ('requiresBean', 'providesBean' or 'requiresArgument'),
+		 * the container type, the name of the bean or argument, its index (only meaningful for
+		 * arguments), and the module it belongs to.
+		 */
+		this._contracts = [];
+
+		/*
+		 * Names of adjusters and modules whose adjusters (and contracts) have been removed
+		 * from this wiring, and will be left out of any wiring added to it (including by
+		 * wiring adjusters) too.
+		 */
+		this._exclusions = [];
+
+		/*
+		 * Cache of what's needed to create containers of each type (the flattened list of
+		 * container adjusters with their modules, and the applicable contracts), valid until the
+		 * wiring is next mutated.
+		 */
+		this._containerPlans = new Map();
+
+		/*
+		 * AutoStubs shared by all containers created from this wiring (and wiring cloned from
+		 * it), or null unless enabled with withAutoStubs().
+		 */
+		this.autoStubs = wiring ? wiring.autoStubs : null;
+
+		/*
+		 * CaptiveDependencies shared by all containers created from this wiring (and wiring
+		 * cloned from it), or null unless enabled with withCaptiveDependencyDetection().
+		 */
+		this.captiveDependencies = wiring ? wiring.captiveDependencies : null;
+
+		/*
+		 * The types of the containers created along the branch of ensuing containers leading
+		 * to (and including) the container this wiring is in, if it is creation-phase wiring.
+		 */
+		this._containerTypesOnBranch = wiring ? wiring._containerTypesOnBranch : [];
+
+		/*
+		 * The containers themselves, in the same order.
+		 */
+		this._containersOnBranch = wiring ? wiring._containersOnBranch : [];
+
+		/*
+		 * Copies are made often (for every container created, including every scope container
+		 * created by a factory), and rarely mutated, so the state above is shared with the
+		 * wiring copied until either of them needs to mutate it, at which point that one takes
+		 * its own copy of the state (see _prepareForMutation()). Sharing the state also shares
+		 * the container plans, so they are only worked out once.
+		 */
+		this._ownsState = true;
 
 		if (wiring) {
-			Object.entries(wiring._containerAdjusters)
-			.forEach(([containerType, containerAdjusters]) => {
-				this._containerAdjusters[containerType] = containerAdjusters.slice();
+			STATE_PROPERTIES.forEach((property) => {
+				this[property] = wiring[property];
 			});
 
-			Object.entries(wiring._wiringAdjusters)
-			.forEach(([containerType, wiringAdjusters]) => {
-				this._wiringAdjusters[containerType] = wiringAdjusters.slice();
-			});
+			this._ownsState = false;
+
+			/*
+			 * Frozen wiring never mutates the state, so it can keep owning it.
+			 */
+			if (!Object.isFrozen(wiring)) {
+				wiring._ownsState = false;
+			}
 		}
 	}
 
@@ -142,6 +330,8 @@ class Wiring {
 			throw new TypeError("invalid container type");
 		}
 
+		this._ensureCreatableOnBranch(containerType);
+
 		/*
 		 * Make a clone of the wiring so wiring instantiated while building this container
 		 * (using particular arguments) does not impact future containers. This cloned wiring
@@ -158,6 +348,8 @@ class Wiring {
 			throw new TypeError("invalid container type");
 		}
 
+		this._ensureCreatableOnBranch(containerType);
+
 		/*
 		 * See comment at createContainer() regarding this cloning.
 		 */
@@ -166,17 +358,143 @@ class Wiring {
 		return await wiring._createContainerFactory(containerType, ...factoryArgs);
 	}
 
+	withAutoStubs() {
+		const wiring = new this.constructor(this);
+		wiring.autoStubs = new AutoStubs();
+
+		return wiring._freeze();
+	}
+
+	withCaptiveDependencyDetection(onCaptiveDependency) {
+		if (typeof onCaptiveDependency !== 'function') {
+			throw new TypeError("invalid captive dependency reporter");
+		}
+
+		const wiring = new this.constructor(this);
+		wiring.captiveDependencies = new CaptiveDependencies(onCaptiveDependency);
+
+		return wiring._freeze();
+	}
+
+	describe() {
+		/*
+		 * The root of the container type hierarchy ('') only holds wiring adjusters (which
+		 * apply to all container types), so it isn't described as a container type itself.
+		 */
+		const containerTypes = Object.keys(this._containerAdjusters)
+		.filter((containerType) => containerType !== '')
+		.map((containerType) => ({
+			containerType: containerType.slice(1),
+			parent: this._getParentContainerType(this._containerAdjusters, containerType),
+			adjusters: this._describeAdjusters(this._containerAdjusters, containerType,
+					new Set(), this._getCallOrder(containerType))
+		}));
+
+		/*
+		 * Base wiring adjusters are gathered first, so list them first.
+		 */
+		const pendingWiringAdjusters = [];
+		Object.keys(this._wiringAdjusters)
+		.sort((a, b) => (a === '' ? -1 : 0) - (b === '' ? -1 : 0))
+		.forEach((containerType) => {
+			this._wiringAdjusters[containerType].forEach((wiringAdjuster) => {
+				if (this._wiringSuppliedByWiringAdjusters.get(wiringAdjuster)) {
+					return;
+				}
+
+				pendingWiringAdjusters.push({
+					name: _nameOf(wiringAdjuster),
+					module: this._moduleOf(wiringAdjuster),
+					after: containerType === '' ? null : containerType
+				});
+			});
+		});
+
+		const modules = [...this._modules]
+		.map(([name, version]) => ({ name, version }));
+
+		return { containerTypes, pendingWiringAdjusters, modules };
+	}
+
+	/*
+	 * Built wiring is frozen along with the lists and records making up its state, which may
+	 * be shared with other wiring. Maps can't be frozen, but wiring sharing them copies them
+	 * before mutating them (see _prepareForMutation()), except for the cache of container
+	 * plans, which only ever gains (frozen) plans.
+	 */
+	_freeze() {
+		[this._containerAdjusters, this._wiringAdjusters].forEach((adjusterCollection) => {
+			Object.values(adjusterCollection).forEach(Object.freeze);
+			Object.freeze(adjusterCollection);
+		});
+		this._contracts.forEach(Object.freeze);
+		Object.freeze(this._contracts);
+		Object.freeze(this._exclusions);
+		Object.freeze(this._containerTypesOnBranch);
+		Object.freeze(this._containersOnBranch);
+
+		return Object.freeze(this);
+	}
+
+	/*
+	 * Every method which mutates the state must call this first.
+	 */
+	_prepareForMutation() {
+		if (Object.isFrozen(this)) {
+			throw new TypeError("built wiring is immutable; use a WiringBuilder to make " +
+					"changes to a copy of it");
+		}
+
+		if (this._ownsState) {
+			this._containerPlans.clear();
+			return;
+		}
+
+		const containerAdjusters = {};
+		Object.entries(this._containerAdjusters)
+		.forEach(([containerType, adjusters]) => {
+			containerAdjusters[containerType] = adjusters.slice();
+		});
+
+		const wiringAdjusters = {};
+		Object.entries(this._wiringAdjusters)
+		.forEach(([containerType, adjusters]) => {
+			wiringAdjusters[containerType] = adjusters.slice();
+		});
+
+		this._containerAdjusters = containerAdjusters;
+		this._wiringAdjusters = wiringAdjusters;
+		this._wiringSuppliedByWiringAdjusters = new Map(this._wiringSuppliedByWiringAdjusters);
+		this._adjusterModules = new Map(this._adjusterModules);
+		this._adjusterOrderings = new Map(this._adjusterOrderings);
+		this._modules = new Map(this._modules);
+		this._contracts = this._contracts.slice();
+		this._exclusions = this._exclusions.slice();
+		this._containerPlans = new Map();
+
+		this._ownsState = true;
+	}
+
 	_adjustBaseWiring(wiringAdjuster) {
 		this._adjustWiringAfter('', wiringAdjuster);
 	}
 
-	_adjustContainer(containerType, containerAdjuster) {
+	_adjustContainer(containerType, containerAdjuster, ordering) {
+		this._prepareForMutation();
+
 		this._addAdjuster(this._containerAdjusters, `.${containerType}`, containerAdjuster);
 
+		if (ordering) {
+			const { before = [], after = [], priority = 0 } = ordering;
+			this._adjusterOrderings.set(containerAdjuster, { before, after, priority });
+		}
+
 		this._ensureContainerTypeExists(this._wiringAdjusters, containerType);
 	}
 
 	_adjustWiringAfter(containerType, wiringAdjuster) {
+		this._prepareForMutation();
+
 		this._addAdjuster(this._wiringAdjusters, containerType, wiringAdjuster);
 
 		if (containerType !== '') {
@@ -191,7 +509,17 @@ class Wiring {
 		this._ensureSuppliedWiringKeyExists(wiringAdjuster);
 	}
 
-	_addWiring(wiring) {
+	_addWiring(wiringToAdd) {
+		const supersededModules = this._modulesSupersededBy(wiringToAdd);
+		const wiring = this._withoutExcluded(
+				this._withoutIncludedModules(wiringToAdd, supersededModules));
+
+		this._prepareForMutation();
+
+		const supersededAdjusters = new Set(this._adjustersOfModules(supersededModules));
+		const supersededContracts = new Set(this._contracts
+		.filter((contract) => supersededModules.has(contract.module)));
+
 		this._addAdjusters(this._containerAdjusters, wiring._containerAdjusters);
 		this._addAdjusters(this._wiringAdjusters, wiring._wiringAdjusters);
 
@@ -201,6 +529,215 @@ class Wiring {
 		 * need to know which adjusters are wiring adjusters, so we want to set them.
 		 */
 		this._addSuppliedWiring(wiring);
+
+		this._addAdjusterModules(wiring);
+		this._addAdjusterOrderings(wiring);
+		this._addContracts(wiring);
+		this._addModules(wiring, supersededModules);
+
+		/*
+		 * The higher of compatible versions of a module is kept, so the adjusters (and
+		 * contracts) of a lower version already included are replaced with the higher's, which
+		 * take their place, so they still run before adjusters added after the lower version.
+		 */
+		if (supersededModules.size) {
+			const isSuperseding = (adjuster) => !supersededAdjusters.has(adjuster) &&
+					supersededModules.has(this._moduleOf(adjuster));
+
+			[this._containerAdjusters, this._wiringAdjusters]
+			.forEach((adjusterCollection) => {
+				Object.entries(adjusterCollection).forEach(([containerType, adjusters]) => {
+					adjusterCollection[containerType] = _replaceInPlace(adjusters,
+							supersededAdjusters, isSuperseding);
+				});
+			});
+
+			supersededAdjusters.forEach((adjuster) => {
+				this._wiringSuppliedByWiringAdjusters.delete(adjuster);
+			});
+
+			this._contracts = _replaceInPlace(this._contracts, supersededContracts,
+					(contract) => !supersededContracts.has(contract) &&
+							supersededModules.has(contract.module));
+		}
+	}
+
+	_adjustersOfModules(moduleNames) {
+		return Object.values(this._containerAdjusters)
+		.concat(Object.values(this._wiringAdjusters))
+		.flat()
+		.filter((adjuster) => moduleNames.has(this._moduleOf(adjuster)));
+	}
+
+	_attributeAdjustersToModule(moduleName) {
+		this._prepareForMutation();
+
+		const adjusterLists = Object.values(this._containerAdjusters)
+		.concat(Object.values(this._wiringAdjusters));
+
+		adjusterLists.forEach((adjusters) => {
+			adjusters.forEach((adjuster) => {
+				if (!this._adjusterModules.has(adjuster)) {
+					this._adjusterModules.set(adjuster, moduleName);
+				}
+			});
+		});
+	}
+
+	_attributeContractsToModule(moduleName) {
+		this._prepareForMutation();
+
+		this._contracts = this._contracts.map((contract) =>
+				contract.module ? contract : { ...contract, module: moduleName });
+	}
+
+	_addContract(contract) {
+		this._prepareForMutation();
+
+		this._contracts.push(contract);
+	}
+
+	_addContracts(wiring) {
+		wiring._contracts.forEach((contract) => {
+			if (!this._contracts.includes(contract)) {
+				this._contracts.push(contract);
+			}
+		});
+	}
+
+	_includeModule(moduleName, version) {
+		this._ensureModuleCompatible(moduleName, version);
+
+		this._prepareForMutation();
+
+		this._modules.set(moduleName, _higherVersion(this._modules.get(moduleName), version));
+	}
+
+	_ensureModuleCompatible(moduleName, version) {
+		const includedVersion = this._modules.get(moduleName);
+
+		if (includedVersion && version && !_areCompatibleVersions(includedVersion, version)) {
+			throw new RangeError(`wiring module '${moduleName}' version ${version} conflicts ` +
+					`with version ${includedVersion} already added`);
+		}
+	}
+
+	/*
+	 * Modules already included keep their version unless their adjusters have been replaced
+	 * with those of the wiring's (higher) version.
+	 */
+	_addModules(wiring, supersededModules = new Set()) {
+		wiring._modules.forEach((version, moduleName) => {
+			if (this._modules.has(moduleName) && !supersededModules.has(moduleName)) {
+				return;
+			}
+
+			this._includeModule(moduleName, version);
+		});
+	}
+
+	/*
+	 * Returns the names of modules included in this wiring which the given wiring includes a
+	 * higher (compatible) version of.
+	 */
+	_modulesSupersededBy(wiring) {
+		const supersededModules = new Set();
+		wiring._modules.forEach((version, moduleName) => {
+			if (this._modules.has(moduleName)) {
+				this._ensureModuleCompatible(moduleName, version);
+
+				const includedVersion = this._modules.get(moduleName);
+				if (_higherVersion(includedVersion, version) !== includedVersion) {
+					supersededModules.add(moduleName);
+				}
+			}
+		});
+
+		return supersededModules;
+	}
+
+	/*
+	 * Returns the given wiring, or if it includes modules already included in this wiring
+	 * (other than those it supersedes), a copy of it without their adjusters. Throws without
+	 * changing anything if any of them conflict.
+	 */
+	_withoutIncludedModules(wiring, supersededModules = new Set()) {
+		const includedModules = new Set();
+		wiring._modules.forEach((version, moduleName) => {
+			if (this._modules.has(moduleName)) {
+				this._ensureModuleCompatible(moduleName, version);
+
+				if (!supersededModules.has(moduleName)) {
+					includedModules.add(moduleName);
+				}
+			}
+		});
+
+		if (includedModules.size === 0) {
+			return wiring;
+		}
+
+		const filteredWiring = new wiring.constructor(wiring);
+		filteredWiring._removeAdjusters((adjuster) =>
+				includedModules.has(filteredWiring._moduleOf(adjuster)),
+				(contract) => includedModules.has(contract.module));
+
+		return filteredWiring;
+	}
+
+	_exclude(names) {
+		this._prepareForMutation();
+
+		names.forEach((name) => {
+			if (!this._exclusions.includes(name)) {
+				this._exclusions.push(name);
+			}
+		});
+
+		this._removeAdjusters((adjuster) => this._isExcluded(adjuster),
+				(contract) => this._exclusions.includes(contract.module));
+	}
+
+	/*
+	 * Returns the given wiring, or if it has adjusters excluded from this wiring, a copy of it
+	 * without them.
+	 */
+	_withoutExcluded(wiring) {
+		if (this._exclusions.length === 0) {
+			return wiring;
+		}
+
+		const filteredWiring = new wiring.constructor(wiring);
+		filteredWiring._removeAdjusters((adjuster) =>
+				this._isExcluded(adjuster, filteredWiring._moduleOf(adjuster)),
+				(contract) => this._exclusions.includes(contract.module));
+
+		return filteredWiring;
+	}
+
+	_isExcluded(adjuster, moduleName = this._moduleOf(adjuster)) {
+		return this._exclusions.includes(_nameOf(adjuster)) ||
+				this._exclusions.includes(moduleName);
+	}
+
+	_removeAdjusters(isRemoved, isContractRemoved) {
+		this._prepareForMutation();
+
+		[this._containerAdjusters, this._wiringAdjusters]
+		.forEach((adjusterCollection) => {
+			Object.entries(adjusterCollection).forEach(([containerType, adjusters]) => {
+				adjusterCollection[containerType] =
+						adjusters.filter((adjuster) => !isRemoved(adjuster));
+			});
+		});
+
+		this._wiringSuppliedByWiringAdjusters.forEach((suppliedWiring, adjuster) => {
+			if (isRemoved(adjuster)) {
+				this._wiringSuppliedByWiringAdjusters.delete(adjuster);
+			}
+		});
+
+		this._contracts = this._contracts.filter((contract) => !isContractRemoved(contract));
 	}
 
 	_addAdjuster(adjusterCollection, containerType, adjuster) {
@@ -229,6 +766,22 @@ class Wiring {
 		});
 	}
 
+	_addAdjusterModules(wiring) {
+		wiring._adjusterModules.forEach((moduleName, adjuster) => {
+			if (!this._adjusterModules.has(adjuster)) {
+				this._adjusterModules.set(adjuster, moduleName);
+			}
+		});
+	}
+
+	_addAdjusterOrderings(wiring) {
+		wiring._adjusterOrderings.forEach((ordering, adjuster) => {
+			if (!this._adjusterOrderings.has(adjuster)) {
+				this._adjusterOrderings.set(adjuster, ordering);
+			}
+		});
+	}
+
 	_ensureContainerTypeExists(adjusterCollection, containerType) {
 		if (!adjusterCollection[containerType]) {
 			adjusterCollection[containerType] =
@@ -289,24 +842,72 @@ class Wiring {
 			throw new RangeError(`container type '${containerType}' unknown`);
 		}
 
-		const container = new Container();
+		const { adjusters, contracts } = this._getContainerPlan(containerType);
+
+		const containerArgs = this.autoStubs ?
+				this._stubMissingArguments(contracts, args) : args;
 
-		container.register('wiring', value(this));
+		/*
+		 * Check arguments before calling any adjusters, which would likely fail obscurely.
+		 */
+		this._ensureContractsMet(containerType, contracts
+		.filter((contract) => contract.kind === 'requiresArgument' &&
+				typeof containerArgs[contract.index] === 'undefined'));
+
+		this._containerTypesOnBranch = this._containerTypesOnBranch.concat([containerType]);
+
+		const container = new ManagedContainer(containerType);
+		this._containersOnBranch = this._containersOnBranch.concat([container]);
+
+		container._wiring = this;
+		container._autoStubs = this.autoStubs;
+		container._captiveDependencies = this.captiveDependencies;
+		container.register('wiring', value(this._createFacade()));
+
+		/*
+		 * Nothing else can dispose a container which fails to be created, so any beans already
+		 * created in it (e.g. by wiring adjusters) are torn down here.
+		 */
+		try {
+			await this._adjustCreatedContainer(containerType, container, adjusters, contracts,
+					containerArgs);
+		} catch (error) {
+			await container.dispose().catch(() => {});
+
+			throw error;
+		}
 
-		const containerAdjusters = this._getFlattenedContainerAdjusters(
-				this._containerAdjusters, `.${containerType}`);
+		return container;
+	}
 
-		const appliedContainerAdjusters = new Set();
-		for (const containerAdjuster of containerAdjusters) {
-			if (!appliedContainerAdjusters.has(containerAdjuster)) {
-				appliedContainerAdjusters.add(containerAdjuster);
-				await containerAdjuster(container, ...args);
+	async _adjustCreatedContainer(containerType, container, adjusters, contracts,
+			containerArgs) {
+		for (const { adjuster, module } of adjusters) {
+			/*
+			 * Attribute registrations to the adjuster so the container can explain the
+			 * provenance of its beans.
+			 */
+			container._attributeRegistrationsTo(adjuster, module);
+			try {
+				await adjuster(container, ...containerArgs);
+			} finally {
+				container._attributeRegistrationsTo(null);
 			}
 		}
 
-		await this._gatherWiringSuppliedByWiringAdjusters(containerType, container);
+		/*
+		 * With auto-stubbing, required beans which are missing will be stubbed.
+		 */
+		this._ensureContractsMet(containerType, contracts
+		.filter((contract) => contract.kind !== 'requiresArgument')
+		.filter((contract) => contract.kind !== 'requiresBean' || !this.autoStubs)
+		.filter((contract) => {
+			const [holder, name] = container._locateBean(contract.name);
 
-		return container;
+			return !holder._registrationRecords.has(name);
+		}));
+
+		await this._gatherWiringSuppliedByWiringAdjusters(containerType, container);
 	}
 
 	async _createContainerFactory(containerType, ...factoryArgs) {
@@ -326,6 +927,28 @@ class Wiring {
 		};
 	}
 
+	/*
+	 * Container adjusters are called in order (subject to their ordering constraints), but
+	 * only once each, even if they appear more than once.
+	 */
+	_getContainerPlan(containerType) {
+		if (!this._containerPlans.has(containerType)) {
+			const adjusters = this._sortAdjusters(containerType, [...new Set(
+					this._getFlattenedContainerAdjusters(this._containerAdjusters,
+					`.${containerType}`))]);
+
+			this._containerPlans.set(containerType, Object.freeze({
+				adjusters: Object.freeze(adjusters.map((adjuster) => Object.freeze({
+					adjuster,
+					module: this._moduleOf(adjuster)
+				}))),
+				contracts: Object.freeze(this._getContracts(containerType))
+			}));
+		}
+
+		return this._containerPlans.get(containerType);
+	}
+
 	_getFlattenedContainerAdjusters(adjusterCollection, containerType) {
 		const flattenedContainerAdjusters = [];
 
@@ -360,6 +983,271 @@ class Wiring {
 		return flattenedContainerAdjusters;
 	}
 
+	/*
+	 * Creating a container of a type already created along the branch is allowed (though
+	 * probably surprising), but subclasses may forbid it for some container types.
+	 */
+	_ensureCreatableOnBranch(containerType) {
+	}
+
+	/*
+	 * The names of the methods the wiring bean exposes: those which create containers, and
+	 * describe(), which doesn't change anything.
+	 */
+	_getFacadeMethodNames() {
+		return ['createContainer', 'createContainerFactory', 'describe'];
+	}
+
+	/*
+	 * A proxy (so it is still an instance of the wiring's class) which only exposes some
+	 * methods (bound, so they can be used as factories), and throws on any attempt to use or
+	 * change anything else. It isn't thenable, so it can be awaited, and it can still be
+	 * converted to a string or JSON (and identified as wiring by Wiring.isWiring()). Its
+	 * target is an empty object with the wiring's prototype, so inspecting the proxy doesn't
+	 * reveal the wiring's state either.
+	 */
+	_createFacade() {
+		const wiring = this;
+		const methodNames = this._getFacadeMethodNames();
+		const methods = new Map(methodNames.map((methodName) =>
+				[methodName, this[methodName].bind(this)]));
+
+		return new Proxy(Object.create(Object.getPrototypeOf(this)), {
+			get(target, property) {
+				if (methods.has(property)) {
+					return methods.get(property);
+				}
+
+				if (typeof property === 'symbol' || property === 'then' ||
+						property === 'toJSON') {
+					return undefined;
+				}
+
+				if (property === 'toString' || property === 'toLocaleString' ||
+						property === 'valueOf') {
+					return Reflect.get(target, property);
+				}
+
+				throw new TypeError(`wiring bean has no '${property}'; it can only be used to ` +
+						`create containers, and only has ${methodNames.join(', ')}`);
+			},
+			has(target, property) {
+				return property in wiring;
+			},
+			set(target, property) {
+				throw new TypeError(`wiring bean cannot be modified (setting '${property}')`);
+			},
+			defineProperty(target, property) {
+				throw new TypeError(`wiring bean cannot be modified (defining '${property}')`);
+			},
+			deleteProperty(target, property) {
+				throw new TypeError(`wiring bean cannot be modified (deleting '${property}')`);
+			}
+		});
+	}
+
+	/*
+	 * Adjusters are referred to in constraints by their own names, or their modules' names.
+	 * Without any constraints, the order is unchanged.
+	 */
+	_sortAdjusters(containerType, adjusters) {
+		if (!adjusters.some((adjuster) => this._adjusterOrderings.has(adjuster))) {
+			return adjusters;
+		}
+
+		const matches = (adjuster, reference) =>
+				_nameOf(adjuster) === reference || this._moduleOf(adjuster) === reference;
+
+		return sortByOrdering(adjusters, (adjuster) => this._orderingOf(adjuster), matches,
+				(cycle) => new RangeError(`contradictory ordering constraints for ` +
+						`${containerType} container adjusters: ${cycle.map((adjuster) =>
+								_nameOf(adjuster) || "(anonymous)").join(' -> ')} ` +
+						"(each must run before the next)"));
+	}
+
+	_orderingOf(adjuster) {
+		return this._adjusterOrderings.get(adjuster) || { before: [], after: [], priority: 0 };
+	}
+
+	_stubMissingArguments(contracts, args) {
+		const stubbedArgs = args.slice();
+
+		contracts.forEach((contract) => {
+			if (contract.kind === 'requiresArgument' &&
+					typeof stubbedArgs[contract.index] === 'undefined') {
+				stubbedArgs[contract.index] = this.autoStubs._createStub(contract.name);
+			}
+		});
+
+		return stubbedArgs;
+	}
+
+	_getContracts(containerType) {
+		return this._contracts.filter((contract) =>
+				containerType === contract.containerType ||
+				containerType.startsWith(`${contract.containerType}.`));
+	}
+
+	_ensureContractsMet(containerType, unmetContracts) {
+		if (unmetContracts.length === 0) {
+			return;
+		}
+
+		const unmet = unmetContracts.map((contract) => {
+			const owner = contract.module ? `module '${contract.module}'` : "wiring";
+
+			if (contract.kind === 'requiresArgument') {
+				return `argument '${contract.name}' (#${contract.index + 1}) required by ` +
+						`${owner} was not passed`;
+			}
+
+			return `bean '${contract.name}' ${contract.kind === 'requiresBean' ?
+					"required" : "provided"} by ${owner} is not registered`;
+		});
+
+		const error = new RangeError(`unmet requirements creating ${containerType} ` +
+				`container:\n${unmet.map((line) => `  ${line}`).join('\n')}`);
+		error.unmetContracts = unmetContracts;
+
+		throw error;
+	}
+
+	_getParentContainerType(adjusterCollection, containerType) {
+		const ancestorComponents = containerType.split('.');
+
+		while (ancestorComponents.length > 2) {
+			ancestorComponents.pop();
+
+			const ancestor = ancestorComponents.join('.');
+			if (adjusterCollection[ancestor]) {
+				return ancestor.slice(1);
+			}
+		}
+
+		return null;
+	}
+
+	/*
+	 * The position of each container adjuster in the order they will be called, keyed by
+	 * adjuster. If the ordering constraints are contradictory (so creating the container would
+	 * fail), they are left in the order they were added.
+	 */
+	_getCallOrder(containerType) {
+		const adjusters = [...new Set(this._getFlattenedContainerAdjusters(
+				this._containerAdjusters, containerType))];
+
+		let sorted;
+		try {
+			sorted = this._sortAdjusters(containerType.slice(1), adjusters);
+		} catch (error) {
+			sorted = adjusters;
+		}
+
+		return new Map(sorted.map((adjuster, index) => [adjuster, index + 1]));
+	}
+
+	/*
+	 * This mirrors _getFlattenedContainerAdjusters(), but includes wiring adjusters (along
+	 * with any container adjusters from their supplied wiring) and omits adjusters which will
+	 * not be called again because they already appear earlier.
+	 *
+	 * Adjusters are described in the order they will be called, wiring adjusters taking the
+	 * place of the first adjuster they supplied (or, if they haven't supplied any, staying
+	 * after the adjuster they were added after).
+	 */
+	_describeAdjusters(adjusterCollection, containerType, describedAdjusters, callOrder) {
+		const descriptions = [];
+
+		adjusterCollection[containerType].forEach((adjuster) => {
+			if (describedAdjusters.has(adjuster)) {
+				return;
+			}
+			describedAdjusters.add(adjuster);
+
+			const suppliedWiring = this._wiringSuppliedByWiringAdjusters.get(adjuster);
+
+			if (typeof suppliedWiring === 'undefined') {
+				return descriptions.push({
+					name: _nameOf(adjuster),
+					module: this._moduleOf(adjuster),
+					wiringAdjuster: false,
+					position: callOrder.get(adjuster),
+					...(this._adjusterOrderings.has(adjuster) ?
+							{ ordering: this._adjusterOrderings.get(adjuster) } : {})
+				});
+			}
+
+			descriptions.push({
+				name: _nameOf(adjuster),
+				module: this._moduleOf(adjuster),
+				wiringAdjuster: true,
+				...this._describeWiringAdjuster(adjuster),
+				gathered: suppliedWiring !== null,
+				suppliedAdjusters: suppliedWiring &&
+						suppliedWiring._containerAdjusters[containerType] ?
+						this._describeAdjusters(suppliedWiring._containerAdjusters,
+								containerType, describedAdjusters, callOrder) : []
+			});
+		});
+
+		let previousPosition = 0;
+
+		return descriptions
+		.map((description) => {
+			const position = _firstPosition(description);
+			previousPosition = position === null ? previousPosition : position;
+
+			return { description, position: previousPosition };
+		})
+		.sort((a, b) => a.position - b.position)
+		.map(({ description }) => description);
+	}
+
+	/*
+	 * Further details of a wiring adjuster for its description, for subclasses to provide.
+	 */
+	_describeWiringAdjuster() {
+		return {};
+	}
+
+	/*
+	 * Identify registration records for beans which are containers or container factories
+	 * created by this wiring (via the wiring bean).
+	 */
+	_describeContainerCreation(record) {
+		const [creatorDependency, firstDependency] = record.dependencies;
+
+		if (record.creator !== 'factory' || !creatorDependency ||
+				creatorDependency.role !== 'factory' ||
+				!creatorDependency.name.startsWith('wiring.') ||
+				!firstDependency || typeof firstDependency.value !== 'string') {
+			return null;
+		}
+
+		return this._describeContainerCreationBy(
+				creatorDependency.name.slice('wiring.'.length), firstDependency.value);
+	}
+
+	_describeContainerCreationBy(methodName, containerType) {
+		if (methodName === 'createContainer') {
+			return { containerType, factory: false };
+		}
+
+		if (methodName === 'createContainerFactory') {
+			return { containerType, factory: true };
+		}
+
+		return null;
+	}
+
+	_hasContainerType(containerType) {
+		return Boolean(this._containerAdjusters[`.${containerType}`]);
+	}
+
+	_moduleOf(adjuster) {
+		return this._adjusterModules.get(adjuster) || null;
+	}
+
 	async _gatherWiringSuppliedByWiringAdjusters(containerType, arg) {
 		if (!this._wiringAdjusters[containerType]) {
 			return;
@@ -368,9 +1256,13 @@ class Wiring {
 		/*
 		 * We don't want to call the same adjusters again, so we consume them, and running an
 		 * adjuster may add more, so we allow the array to potentially mutate as we consume it.
+		 * The wiring may be copied while adjusters are awaited, so it must be prepared for
+		 * mutation afresh after each.
 		 */
-		let wiringAdjuster;
-		while ((wiringAdjuster = this._wiringAdjusters[containerType].shift())) {
+		while (this._wiringAdjusters[containerType].length) {
+			this._prepareForMutation();
+
+			const wiringAdjuster = this._wiringAdjusters[containerType].shift();
 			const alreadySuppliedWiring =
 					this._wiringSuppliedByWiringAdjusters.get(wiringAdjuster);
 			if (alreadySuppliedWiring) {
@@ -380,11 +1272,16 @@ class Wiring {
 			const suppliedWiring = new Wiring();
 			this._wiringSuppliedByWiringAdjusters.set(wiringAdjuster, suppliedWiring);
 
-			const addWiring = (wiringToAdd) => {
-				if (!Wiring.isWiring(wiringToAdd)) {
+			const addWiring = (wiringOrModule) => {
+				if (!Wiring.isWiring(wiringOrModule)) {
 					throw new TypeError("invalid wiring passed to wiring adjuster callback");
 				}
 
+				const wiringToAdd =
+						this._withoutExcluded(this._withoutIncludedModules(wiringOrModule));
+
+				this._prepareForMutation();
+
 				/*
 				 * Container adjusters need to be in the supplied wiring, from which they are
 				 * flattened into the lists of adjusters used to create containers.
@@ -405,10 +1302,23 @@ class Wiring {
 				 * need to know which adjusters are wiring adjusters, so we want to set them.
 				 */
 				this._addSuppliedWiring(wiringToAdd);
+
+				this._addAdjusterModules(wiringToAdd);
+				this._addAdjusterOrderings(wiringToAdd);
+				this._addContracts(wiringToAdd);
+
+				/*
+				 * The adjusters of modules already included may already have been called (or
+				 * be in wiring supplied to other containers), so they aren't replaced with
+				 * those of a higher version here, and the version already included is kept.
+				 */
+				this._addModules(wiringToAdd);
 			};
 
 			await wiringAdjuster(addWiring, arg);
 
+			this._prepareForMutation();
+
 			/*
 			 * Synchronise container types between the supplied wiring and this wiring.
 			 */
@@ -440,3 +1350,102 @@ Wiring.isValidContainerType = function (containerType) {
 };
 
 exports.Wiring = Wiring;
+
+const STATE_PROPERTIES = [
+	'_containerAdjusters',
+	'_wiringAdjusters',
+	'_wiringSuppliedByWiringAdjusters',
+	'_adjusterModules',
+	'_adjusterOrderings',
+	'_modules',
+	'_contracts',
+	'_exclusions',
+	'_containerPlans'
+];
+
+/*
+ * Versions are compatible if they are the same, or are semantic versions which a caret range
+ * (e.g. ^1.2.0) of the lower one would accept: the same major version, or for 0.x versions,
+ * the same minor version (and for 0.0.x versions, the same patch version).
+ */
+function _areCompatibleVersions(a, b) {
+	if (a === b) {
+		return true;
+	}
+
+	const [parsedA, parsedB] = [_parseVersion(a), _parseVersion(b)];
+	if (!parsedA || !parsedB) {
+		return false;
+	}
+
+	const significant = parsedA.numbers.findIndex((number) => number !== 0);
+	const compared = significant === -1 ? 3 : significant + 1;
+
+	return parsedA.numbers.slice(0, compared).every((number, index) =>
+			number === parsedB.numbers[index]);
+}
+
+/*
+ * Removes the replaced items from the list, putting the replacing items (wherever they are in
+ * the list) where the first replaced item was. Without any replaced items, the list is
+ * unchanged.
+ */
+function _replaceInPlace(list, replaced, isReplacing) {
+	const index = list.findIndex((item) => replaced.has(item));
+	if (index === -1) {
+		return list;
+	}
+
+	const replacing = list.filter(isReplacing);
+	const remaining = list.filter((item) => !replaced.has(item) && !isReplacing(item));
+	const position = list.slice(0, index).filter((item) => remaining.includes(item)).length;
+	remaining.splice(position, 0, ...replacing);
+
+	return remaining;
+}
+
+function _higherVersion(a, b) {
+	if (!a || !b) {
+		return a || b;
+	}
+
+	const [parsedA, parsedB] = [_parseVersion(a), _parseVersion(b)];
+	if (!parsedA || !parsedB) {
+		return a;
+	}
+
+	const index = parsedA.numbers.findIndex((number, i) => number !== parsedB.numbers[i]);
+	if (index !== -1) {
+		return parsedA.numbers[index] > parsedB.numbers[index] ? a : b;
+	}
+
+	/*
+	 * A pre-release is lower than the release it precedes.
+	 */
+	return parsedA.preRelease && !parsedB.preRelease ? b : a;
+}
+
+function _parseVersion(version) {
+	const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/
+	.exec(version);
+
+	return match ? {
+		numbers: match.slice(1, 4).map(Number),
+		preRelease: match[4] || null
+	} : null;
+}
+
+function _firstPosition(description) {
+	if (!description.wiringAdjuster) {
+		return typeof description.position === 'number' ? description.position : null;
+	}
+
+	const positions = description.suppliedAdjusters.map(_firstPosition)
+	.filter((position) => position !== null);
+
+	return positions.length ? Math.min(...positions) : null;
+}
+
+function _nameOf(adjuster) {
+	return adjuster.name || null;
+}
@@ -0,0 +1,303 @@
+"use strict";
+
+const { StructuredWiringBuilder } = require('./structured-wiring');
+
+const WORKER_MODULE = 'modular-async-di/worker';
+
+/*
+ * A job source and dead-letter sink which holds its jobs in memory, for testing (or for jobs
+ * which needn't survive the process). Waiting for the next job ends (with null) when the queue
+ * is closed, or when the signal passed is aborted.
+ */
+class InMemoryJobQueue {
+
+	constructor(jobs = []) {
+		this.jobs = jobs.slice();
+
+		this._waiting = [];
+		this._closed = false;
+	}
+
+	add(job) {
+		if (this._closed) {
+			throw new RangeError("job queue closed");
+		}
+
+		if (this._waiting.length) {
+			this._waiting.shift()(job);
+		} else {
+			this.jobs.push(job);
+		}
+	}
+
+	async next({ signal } = {}) {
+		if (this.jobs.length) {
+			return this.jobs.shift();
+		}
+
+		if (this._closed || (signal && signal.aborted)) {
+			return null;
+		}
+
+		return await new Promise((resolve) => {
+			const onAbort = () => {
+				this._waiting = this._waiting.filter((waiter) => waiter !== take);
+				resolve(null);
+			};
+			const take = (job) => {
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+				resolve(job);
+			};
+
+			this._waiting.push(take);
+			if (signal) {
+				signal.addEventListener('abort', onAbort, { once: true });
+			}
+		});
+	}
+
+	close() {
+		this._closed = true;
+		this._waiting.splice(0).forEach((take) => take(null));
+	}
+
+}
+
+exports.InMemoryJobQueue = InMemoryJobQueue;
+
+/*
+ * Pulls jobs from a source, and handles each (up to a number at a time) in a job scope
+ * container of its own, by calling the handler bean in that container. A job which fails is
+ * retried (in a new container) after a backoff, until it has been attempted the maximum number
+ * of times, and is then sent to the dead-letter sink.
+ */
+class Worker {
+
+	constructor(createJobContainer, jobSource, deadLetterSink,
+			{ concurrency, maxAttempts, backoff, handler, reportError }) {
+		if (!jobSource || typeof jobSource.next !== 'function') {
+			throw new TypeError("invalid job source");
+		}
+
+		if (!deadLetterSink || typeof deadLetterSink.add !== 'function') {
+			throw new TypeError("invalid dead-letter sink");
+		}
+
+		this._createJobContainer = createJobContainer;
+		this._jobSource = jobSource;
+		this._deadLetterSink = deadLetterSink;
+		this._concurrency = concurrency;
+		this._maxAttempts = maxAttempts;
+		this._backoff = backoff;
+		this._handler = handler;
+		this._reportError = reportError;
+
+		this._abortController = null;
+		this._pulling = null;
+		this._active = new Set();
+	}
+
+	async start() {
+		if (this._pulling) {
+			return;
+		}
+
+		this._abortController = new AbortController();
+		this._pulling = this._pull(this._abortController.signal)
+		.catch((error) => this._report(error));
+	}
+
+	/*
+	 * Stops pulling jobs, and waits for the jobs in progress (including their retries) to
+	 * finish.
+	 */
+	async stop() {
+		if (!this._pulling) {
+			return;
+		}
+
+		this._abortController.abort();
+		await this._pulling;
+		await Promise.all(this._active);
+
+		this._pulling = null;
+	}
+
+	/*
+	 * The disposal hook, so a worker which is still pulling jobs when the app container is
+	 * disposed (e.g. because the lifecycle was never stopped) doesn't keep handling them.
+	 */
+	async close() {
+		await this.stop();
+	}
+
+	/*
+	 * Errors are reported with the error reporter, but an error reporter which throws can't
+	 * stop the worker (or leave a rejection unhandled), so its error is written to the console
+	 * instead.
+	 */
+	_report(error, job) {
+		try {
+			this._reportError(error, job);
+		} catch (reportingError) {
+			console.error(reportingError);
+		}
+	}
+
+	async _pull(signal) {
+		while (!signal.aborted) {
+			if (this._active.size >= this._concurrency) {
+				await Promise.race(this._active);
+				continue;
+			}
+
+			let job;
+			try {
+				job = await this._jobSource.next({ signal });
+			} catch (error) {
+				this._report(error);
+				await _delay(this._backoff(1), signal);
+				continue;
+			}
+
+			/*
+			 * The source has no job for now (or has stopped waiting for one because the worker
+			 * is stopping, which ends the loop). It's asked again after a backoff, so a source
+			 * which has no job straight away (such as a closed queue) isn't asked in a busy
+			 * loop.
+			 */
+			if (job === null || typeof job === 'undefined') {
+				if (!signal.aborted) {
+					await _delay(this._backoff(1), signal);
+				}
+				continue;
+			}
+
+			const handling = this._handle(job)
+			.catch((error) => this._report(error, job))
+			.finally(() => this._active.delete(handling));
+			this._active.add(handling);
+		}
+	}
+
+	async _handle(job) {
+		for (let attempt = 1; ; attempt++) {
+			try {
+				await this._createJobContainer.runInScope(async (jobContainer) => {
+					const handler = await jobContainer.get(this._handler);
+					if (typeof handler !== 'function') {
+						throw new TypeError(`handler '${this._handler}' is not a function`);
+					}
+
+					await handler();
+				}, job, attempt);
+
+				return;
+			} catch (error) {
+				this._report(error, job);
+
+				if (attempt >= this._maxAttempts) {
+					await this._sendToDeadLetterSink(job, error);
+					return;
+				}
+			}
+
+			await _delay(this._backoff(attempt));
+		}
+	}
+
+	async _sendToDeadLetterSink(job, error) {
+		try {
+			await this._deadLetterSink.add(job, error);
+		} catch (sinkError) {
+			this._report(sinkError, job);
+		}
+	}
+
+}
+
+exports.Worker = Worker;
+
+exports.workerWiring = function ({
+	concurrency = 1,
+	maxAttempts = 3,
+	backoff = (attempt) => 100 * 2 ** (attempt - 1),
+	handler = 'jobHandler',
+	reportError = (error) => console.error(error)
+} = {}) {
+	if (!Number.isInteger(concurrency) || concurrency < 1) {
+		throw new TypeError("invalid concurrency");
+	}
+
+	if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+		throw new TypeError("invalid maximum attempts");
+	}
+
+	if (typeof backoff !== 'function') {
+		throw new TypeError("invalid backoff");
+	}
+
+	if (typeof handler !== 'string' || handler === '') {
+		throw new TypeError("invalid handler bean name");
+	}
+
+	if (typeof reportError !== 'function') {
+		throw new TypeError("invalid error reporter");
+	}
+
+	const builder = new StructuredWiringBuilder();
+
+	builder.adjustAppContainer(async function workerAppContainer(container) {
+		const { register, service, constructor, factory, value } = container;
+
+		register('createJobContainer', factory('wiring.createScopeContainerFactory'),
+				value('Job'), value(container));
+		register('worker', constructor(Worker), 'createJobContainer', 'jobSource',
+				'deadLetterSink', value({ concurrency, maxAttempts, backoff, handler, reportError }));
+		service('worker');
+	});
+
+	builder.adjustScopeContainer('Job', async function workerJobContainer(container,
+			appContainer, job, attempt) {
+		const { register, value } = container;
+
+		register('job', value(job));
+		register('attempt', value(attempt));
+	});
+
+	builder.requireBeans('App', ['jobSource', 'deadLetterSink']);
+	builder.provideBeans('App', ['worker', 'createJobContainer']);
+	builder.provideBeans('Scope.Job', ['job', 'attempt']);
+	builder.declareModule(WORKER_MODULE);
+
+	return builder.build();
+};
+
+/*
+ * Waiting ends early if the signal passed is aborted.
+ */
+function _delay(milliseconds, signal) {
+	return new Promise((resolve) => {
+		if (signal && signal.aborted) {
+			resolve();
+			return;
+		}
+
+		const onAbort = () => {
+			clearTimeout(timeout);
+			resolve();
+		};
+		const timeout = setTimeout(() => {
+			if (signal) {
+				signal.removeEventListener('abort', onAbort);
+			}
+			resolve();
+		}, milliseconds);
+
+		if (signal) {
+			signal.addEventListener('abort', onAbort, { once: true });
+		}
+	});
+}
@@ -0,0 +1,149 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { WiringBuilder } = require("../src/wiring");
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+
+describe('auto-stubs', function () {
+
+	it('does not stub unless enabled', async function () {
+		const container = await new WiringBuilder()
+		.adjustContainer('Test', () => {})
+		.build()
+		.createContainer('Test');
+
+		await expect(container.get('missing')).to.be.rejected;
+	});
+
+	it('stubs unregistered beans', async function () {
+		const wiring = new WiringBuilder()
+		.adjustContainer('Test', async (container) => {
+			const { register, constructor } = container;
+			register('bean', constructor(Greeter), 'writeLine', 'name');
+		})
+		.build()
+		.withAutoStubs();
+		const container = await wiring.createContainer('Test');
+
+		const bean = await container.get('bean');
+		bean.greet();
+
+		expect(wiring.autoStubs.names()).to.deep.equal(['writeLine', 'name']);
+		expect(wiring.autoStubs.calls('writeLine'))
+		.to.deep.equal([{ args: ["Hello, [stub name]!"] }]);
+	});
+
+	it('does not stub registered beans', async function () {
+		const wiring = new WiringBuilder()
+		.adjustContainer('Test', async (container) => {
+			const { register, value } = container;
+			register('bean', value('value'));
+		})
+		.build()
+		.withAutoStubs();
+		const container = await wiring.createContainer('Test');
+
+		expect(await container.get('bean')).to.equal('value');
+		expect(wiring.autoStubs.names()).to.deep.equal([]);
+	});
+
+	it('stubs properties of stubs', async function () {
+		const wiring = new WiringBuilder()
+		.adjustContainer('Test', async (container) => {
+			const { register, bean } = container;
+			register('log', bean('console.log'));
+		})
+		.build()
+		.withAutoStubs();
+		const container = await wiring.createContainer('Test');
+
+		const log = await container.get('log');
+		log("message");
+
+		expect(wiring.autoStubs.names()).to.deep.equal(['console', 'console.log']);
+		expect(wiring.autoStubs.calls('console.log')).to.deep.equal([{ args: ["message"] }]);
+	});
+
+	it('stubs declared arguments which are not passed', async function () {
+		const wiring = new StructuredWiringBuilder()
+		.adjustScopeContainer(async (container, appContainer) => {
+			const { register, value } = container;
+			register('appContainer', value(appContainer));
+			register('console', 'appContainer.console');
+		})
+		.adjustScopeContainer('Request', async (container) => {
+			const { register, constructor, bound } = container;
+			register('greeter', constructor(Greeter), bound('console.log'), 'name');
+		})
+		.requireArguments('Scope', ['appContainer'])
+		.requireBeans('Scope', ['name'])
+		.build()
+		.withAutoStubs();
+		const container = await wiring.createScopeContainer('Request');
+
+		const greeter = await container.get('greeter');
+		greeter.greet();
+
+		expect(wiring.autoStubs.names())
+		.to.have.members(['appContainer', 'appContainer.console', 'appContainer.console.log', 'name']);
+		expect(wiring.autoStubs.calls('appContainer.console.log'))
+		.to.deep.equal([{ args: ["Hello, [stub name]!"] }]);
+	});
+
+	it('shares stubs with containers created by containers', async function () {
+		const wiring = new WiringBuilder()
+		.adjustContainer('Parent', async (container) => {
+			const { register, factory, value } = container;
+			register('child', factory('wiring.createContainer'), value('Child'));
+		})
+		.adjustContainer('Child', () => {})
+		.build()
+		.withAutoStubs();
+		const parent = await wiring.createContainer('Parent');
+		const child = await parent.get('child');
+
+		await child.get('missing');
+
+		expect(wiring.autoStubs.names()).to.deep.equal(['missing']);
+	});
+
+	it('stubs are not thenable', async function () {
+		const wiring = new WiringBuilder()
+		.adjustContainer('Test', () => {})
+		.build()
+		.withAutoStubs();
+		const container = await wiring.createContainer('Test');
+
+		const stub = await container.get('missing');
+
+		expect(stub.then).to.be.undefined;
+	});
+
+	it('stubs retain properties set on them', async function () {
+		const wiring = new WiringBuilder()
+		.adjustContainer('Test', () => {})
+		.build()
+		.withAutoStubs();
+		const container = await wiring.createContainer('Test');
+
+		const stub = await container.get('missing');
+		stub.property = 'value';
+
+		expect(stub.property).to.equal('value');
+	});
+
+});
+
+class Greeter {
+	constructor(writeLine, name) {
+		this.writeLine = writeLine;
+		this.name = name;
+	}
+	greet() {
+		this.writeLine(`Hello, ${this.name}!`);
+	}
+}
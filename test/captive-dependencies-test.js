@@ -0,0 +1,103 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+
+describe('captive dependencies', function () {
+
+	it('does not detect unless enabled', async function () {
+		const wiring = captiveWiring();
+		const requestContainer = await createRequestContainer(wiring);
+
+		await requestContainer.get('handler');
+
+		expect(wiring.captiveDependencies).to.be.null;
+	});
+
+	it('detects captive dependency when bean is created, reporting it once', async function () {
+		const reported = [];
+		const wiring = captiveWiring()
+		.withCaptiveDependencyDetection((problem) => reported.push(problem));
+
+		const firstContainer = await createRequestContainer(wiring);
+		await firstContainer.get('greeting');
+		expect(reported).to.deep.equal([]);
+
+		await firstContainer.get('handler');
+		const secondContainer = await createRequestContainer(wiring);
+		await secondContainer.get('handler');
+
+		expect(reported).to.have.lengthOf(1);
+		expect(reported[0]).to.include({
+			kind: 'captiveDependency',
+			containerType: 'Scope.Request',
+			bean: 'greeter',
+			reference: 'logger'
+		});
+		expect(reported[0].path).to.deep.equal(['Scope.Request:greeter', 'App:greeter',
+			'App:logger']);
+		expect(wiring.captiveDependencies.problems()).to.deep.equal(reported);
+	});
+
+	it('does not detect captive dependency of re-instantiated bean', async function () {
+		const reported = [];
+		const wiring = captiveWiring(['greeter'])
+		.withCaptiveDependencyDetection((problem) => reported.push(problem));
+
+		const requestContainer = await createRequestContainer(wiring);
+		const handler = await requestContainer.get('handler');
+
+		expect(handler.greeter.logger.scoped).to.be.true;
+		expect(reported).to.deep.equal([]);
+	});
+
+	it('throws enabling detection with invalid reporter', async function () {
+		expect(() => captiveWiring().withCaptiveDependencyDetection(null)).to.throw(TypeError);
+		expect(() => captiveWiring().withCaptiveDependencyDetection()).to.throw(TypeError);
+	});
+
+});
+
+function captiveWiring(reinstantiated = []) {
+	const builder = new StructuredWiringBuilder();
+	builder.adjustAppContainer(async (container) => {
+		const { register, constructor, value } = container;
+		register('logger', value({ scoped: false }));
+		register('greeter', constructor(Greeter), 'logger');
+	});
+	builder.adjustScopeContainer('Request', async (container, appContainer) => {
+		const { register, constructor, value, fallBackTo, reinstantiate } = container;
+		fallBackTo(appContainer);
+		if (reinstantiated.length) {
+			reinstantiate(...reinstantiated);
+		}
+		register('logger', value({ scoped: true }));
+		register('greeting', value("Hello"));
+		register('handler', constructor(Handler), 'greeter');
+	});
+
+	return builder.build();
+}
+
+async function createRequestContainer(wiring) {
+	const appContainer = await wiring.createAppContainer();
+	const appWiring = await appContainer.get('wiring');
+
+	return await appWiring.createScopeContainer('Request', appContainer);
+}
+
+class Greeter {
+	constructor(logger) {
+		this.logger = logger;
+	}
+}
+
+class Handler {
+	constructor(greeter) {
+		this.greeter = greeter;
+	}
+}
@@ -0,0 +1,242 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+const { configurationWiring, configSectionWiring } = require("../src/configuration");
+
+const CONSOLE_SCHEMA = {
+	useColour: { type: 'boolean', default: false, flag: 'colour' },
+	width: { type: 'number', default: 80 },
+	prompt: {}
+};
+
+describe('configuration', function () {
+
+	let directory;
+
+	beforeEach(function () {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'modular-async-di-'));
+	});
+
+	afterEach(function () {
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	it('throws declaring invalid section or schema', async function () {
+		expect(() => configSectionWiring('con.sole', {})).to.throw(TypeError);
+		expect(() => configSectionWiring('console', { width: { type: 'integer' } }))
+		.to.throw(TypeError);
+		expect(() => configSectionWiring('console', { width: 80 })).to.throw(TypeError);
+	});
+
+	it('throws creating configuration with invalid files', async function () {
+		expect(() => configurationWiring({ files: 'config.json' })).to.throw(TypeError);
+	});
+
+	it('uses defaults', async function () {
+		const config = await configFrom({});
+
+		expect(config).to.deep.equal({ console: { useColour: false, width: 80 } });
+	});
+
+	it('layers files, environment variables and command line flags', async function () {
+		const configFile = write('config.json', { console: { width: 100, prompt: '>' } });
+		const envFile = write('.env', 'CONSOLE_WIDTH=120\n# comment\nexport CONSOLE_PROMPT="$ "\n');
+
+		const config = await configFrom({
+			files: [configFile],
+			envFiles: [envFile],
+			environment: { CONSOLE_WIDTH: '140' },
+			cliArguments: ['John', '--colour', '--console.width=160']
+		});
+
+		expect(config).to.deep.equal({
+			console: { useColour: true, width: 160, prompt: '$ ' }
+		});
+	});
+
+	it('ignores missing files', async function () {
+		const config = await configFrom({
+			files: [path.join(directory, 'missing.json')],
+			envFiles: [path.join(directory, '.env')]
+		});
+
+		expect(config.console.width).to.equal(80);
+	});
+
+	it('uses environment prefix and explicit variable names', async function () {
+		const builder = new StructuredWiringBuilder(configurationWiring({
+			environmentPrefix: 'APP_',
+			environment: { APP_CONSOLE_WIDTH: '90', PROMPT: '%' },
+			cliArguments: []
+		}));
+		builder.addWiring(configSectionWiring('console', {
+			width: { type: 'number' },
+			prompt: { env: 'PROMPT' }
+		}));
+
+		const bootContainer = await builder.build().createBootContainer();
+
+		expect(await bootContainer.get('config.console')).to.deep.equal({
+			width: 90,
+			prompt: '%'
+		});
+	});
+
+	it('rejects invalid values with every problem', async function () {
+		const configFile = write('config.json', { console: { colour: true, useColour: 'yes' } });
+		const builder = new StructuredWiringBuilder(configurationWiring({
+			files: [configFile],
+			environment: { CONSOLE_WIDTH: 'wide' },
+			cliArguments: []
+		}));
+		builder.addWiring(configSectionWiring('console', {
+			...CONSOLE_SCHEMA,
+			prompt: { required: true },
+			lines: {
+				type: 'number',
+				default: -1,
+				validate: (lines) => lines > 0 || "not positive"
+			}
+		}));
+
+		const bootContainer = await builder.build().createBootContainer();
+
+		await expect(bootContainer.get('config')).to.be.rejectedWith(
+				"invalid configuration:\n" +
+				`  console.colour: unknown setting in ${configFile}\n` +
+				`  console.useColour: expected boolean but got "yes" (from ${configFile})\n` +
+				"  console.width: expected number but got 'wide' " +
+				"(from environment variable CONSOLE_WIDTH)\n" +
+				"  console.prompt: required but not set\n" +
+				"  console.lines: not positive (from default)");
+	});
+
+	it('does not show secret values in problems', async function () {
+		const builder = new StructuredWiringBuilder(configurationWiring({
+			environment: { DATABASE_PASSWORD: 'hunter2', CONSOLE_WIDTH: '100' },
+			cliArguments: ['--no-colour']
+		}));
+		builder.addWiring(configSectionWiring('console', CONSOLE_SCHEMA));
+		builder.addWiring(configSectionWiring('database', {
+			password: { secret: true, type: 'number' }
+		}));
+
+		const bootContainer = await builder.build().createBootContainer();
+
+		const error = await bootContainer.get('config').catch((e) => e);
+
+		expect(error.message).to.include(
+				"database.password: expected number (from environment variable DATABASE_PASSWORD)");
+		expect(error.message).not.to.include('hunter2');
+	});
+
+	it('reports where each value came from', async function () {
+		const builder = new StructuredWiringBuilder(configurationWiring({
+			environment: { DATABASE_PASSWORD: 'hunter2', CONSOLE_WIDTH: '100' },
+			cliArguments: ['--no-colour']
+		}));
+		builder.addWiring(configSectionWiring('console', CONSOLE_SCHEMA));
+		builder.addWiring(configSectionWiring('database', { password: { secret: true } }));
+
+		const bootContainer = await builder.build().createBootContainer();
+
+		expect(await bootContainer.get('configReport')).to.deep.equal([
+			{ key: 'console.useColour', value: false, source: 'command line --no-colour' },
+			{ key: 'console.width', value: 100, source: 'environment variable CONSOLE_WIDTH' },
+			{ key: 'database.password', value: '****',
+					source: 'environment variable DATABASE_PASSWORD' }
+		]);
+		expect((await bootContainer.get('config')).database.password).to.equal('hunter2');
+	});
+
+	it('registers sections after configuration module', async function () {
+		const moduleBuilder = new StructuredWiringBuilder();
+		moduleBuilder.addWiring(configSectionWiring('console', CONSOLE_SCHEMA));
+		moduleBuilder.declareModule('console');
+
+		const builder = new StructuredWiringBuilder(moduleBuilder.build());
+		builder.addWiring(configurationWiring({ environment: {}, cliArguments: [] }));
+
+		const bootContainer = await builder.build().createBootContainer();
+
+		expect((await bootContainer.get('config')).console.width).to.equal(80);
+	});
+
+	it('uses config bean registered by wiring added before it', async function () {
+		const builder = new StructuredWiringBuilder(commonWiring());
+		builder.addWiring(configurationWiring({ environment: {}, cliArguments: [] }));
+		builder.addWiring(configSectionWiring('console', CONSOLE_SCHEMA));
+
+		const bootContainer = await builder.build().createBootContainer();
+
+		expect(await bootContainer.get('config')).to.deep.equal({
+			name: 'app',
+			console: { useColour: false, width: 80 }
+		});
+	});
+
+	it('uses config bean registered by wiring added after it', async function () {
+		const builder = new StructuredWiringBuilder(
+				configurationWiring({ environment: {}, cliArguments: [] }));
+		builder.addWiring(configSectionWiring('console', CONSOLE_SCHEMA));
+		builder.addWiring(commonWiring());
+
+		const bootContainer = await builder.build().createBootContainer();
+
+		expect(await bootContainer.get('config')).to.deep.equal({
+			name: 'app',
+			console: { useColour: false, width: 80 }
+		});
+	});
+
+	it('requires configuration module for sections', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.addWiring(configSectionWiring('console', CONSOLE_SCHEMA));
+
+		await expect(builder.build().createBootContainer()).to.be.rejectedWith(RangeError,
+				"bean 'configSources' required by wiring is not registered");
+	});
+
+	function write(name, content) {
+		const file = path.join(directory, name);
+		fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+
+		return file;
+	}
+
+});
+
+async function configFrom(options) {
+	const builder = new StructuredWiringBuilder(configurationWiring({
+		environment: {},
+		cliArguments: [],
+		...options
+	}));
+	builder.addWiring(configSectionWiring('console', CONSOLE_SCHEMA));
+
+	const bootContainer = await builder.build().createBootContainer();
+
+	return await bootContainer.get('config');
+}
+
+function commonWiring() {
+	const builder = new StructuredWiringBuilder();
+	builder.adjustBootContainer(async function commonWiringBootContainer(container) {
+		const { register, value } = container;
+		register('config', value({}));
+		register('config.name', value('app'));
+	});
+	builder.provideBeans('Boot', ['config']);
+	builder.declareModule('common', '1.0.0');
+
+	return builder.build();
+}
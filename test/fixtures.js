@@ -0,0 +1,35 @@
+"use strict";
+
+/*
+ * Fixtures shared by the tests (this isn't a test file itself, so mocha doesn't run it).
+ */
+
+/*
+ * Waits for something happening in the background, such as a request being handled or a job
+ * being pulled, checking again each time round the event loop.
+ */
+exports.until = async function until(condition) {
+	while (!condition()) {
+		await new Promise((resolve) => setImmediate(resolve));
+	}
+};
+
+/*
+ * A bean which logs when it's started and stopped (as a service) and closed (as it is when
+ * the container which created it is disposed).
+ */
+exports.Resource = class Resource {
+	constructor(log, name) {
+		this.log = log;
+		this.name = name;
+	}
+	async start() {
+		this.log.push(`start ${this.name}`);
+	}
+	async stop() {
+		this.log.push(`stop ${this.name}`);
+	}
+	async close() {
+		this.log.push(`close ${this.name}`);
+	}
+};
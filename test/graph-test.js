@@ -0,0 +1,245 @@
+"use strict";
+
+const expect = require("chai").expect;
+
+const { WiringBuilder } = require("../src/wiring");
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+const { exportWiringGraph } = require("../src/graph");
+
+describe('graph export', function () {
+
+	it('throws exporting something other than wiring or a container', async function () {
+		expect(() => exportWiringGraph({})).to.throw(TypeError);
+	});
+
+	it('throws exporting unknown format', async function () {
+		const wiring = new WiringBuilder().build();
+
+		expect(() => exportWiringGraph(wiring, 'svg')).to.throw(RangeError);
+	});
+
+	it('exports container types and adjusters as DOT', async function () {
+		const builder = new WiringBuilder();
+		builder.adjustContainer('Parent', function parentAdjuster() {});
+		builder.adjustContainer('Parent.Child', function childAdjuster() {});
+
+		const dot = exportWiringGraph(builder.build(), 'dot');
+
+		expect(dot).to.equal([
+			'digraph wiring {',
+			'\trankdir=LR;',
+			'\tn0 [label="Parent", shape=box3d];',
+			'\tn1 [label="Parent.Child", shape=box3d];',
+			'\tn2 [label="parentAdjuster", shape=ellipse];',
+			'\tn3 [label="childAdjuster", shape=ellipse];',
+			'\tn1 -> n0 [style=dashed, label="inherits"];',
+			'\tn2 -> n0 [label="adjusts #1"];',
+			'\tn2 -> n1 [label="adjusts #1"];',
+			'\tn3 -> n1 [label="adjusts #2"];',
+			'}',
+			''
+		].join('\n'));
+	});
+
+	it('exports container types and adjusters as Mermaid', async function () {
+		const builder = new WiringBuilder();
+		builder.adjustContainer('Test', function testAdjuster() {});
+		builder.adjustBaseWiring(async function testWiring(addWiring) {
+			addWiring(new WiringBuilder()
+			.adjustContainer('Test', function suppliedAdjuster() {})
+			.build());
+		});
+		const container = await builder.build().createContainer('Test');
+
+		const mermaid = exportWiringGraph(await container.get('wiring'), 'mermaid');
+
+		expect(mermaid).to.equal([
+			'flowchart LR',
+			'\tn0[["Test"]]',
+			'\tn1(["testAdjuster"])',
+			'\tn2{{"testWiring"}}',
+			'\tn3(["suppliedAdjuster"])',
+			'\tn1 -->|"adjusts #1"| n0',
+			'\tn2 -.->|"supplies"| n3',
+			'\tn3 -->|"adjusts #2"| n0',
+			''
+		].join('\n'));
+	});
+
+	it('exports same-named adjusters of different modules separately', async function () {
+		const moduleWiring = (moduleName) => new WiringBuilder()
+		.adjustContainer('Test', function sharedAdjuster() {})
+		.declareModule(moduleName)
+		.build();
+		const builder = new WiringBuilder(moduleWiring('first'));
+		builder.addWiring(moduleWiring('second'));
+
+		const dot = exportWiringGraph(builder.build(), 'dot');
+
+		expect(dot).to.include([
+			'\tsubgraph cluster_c0 {',
+			'\t\tlabel="first module";',
+			'\t\tn1 [label="sharedAdjuster", shape=ellipse];',
+			'\t}',
+			'\tsubgraph cluster_c1 {',
+			'\t\tlabel="second module";',
+			'\t\tn2 [label="sharedAdjuster", shape=ellipse];',
+			'\t}'
+		].join('\n'));
+		expect(dot).to.include('\tn1 -> n0 [label="adjusts #1"];');
+		expect(dot).to.include('\tn2 -> n0 [label="adjusts #2"];');
+	});
+
+	it('numbers adjusters in the order they will be called', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustScopeContainer('Request', async function laterAdjuster() {},
+				{ after: ['earlierAdjuster'] });
+		builder.adjustScopeContainer('Request', async function earlierAdjuster() {});
+
+		const dot = exportWiringGraph(builder.build(), 'dot');
+		const numbering = (name) => {
+			const node = dot.match(new RegExp(`(n\\d+) \\[label="${name}"`))[1];
+			const type = dot.match(/(n\d+) \[label="Scope.Request"/)[1];
+
+			return dot.match(new RegExp(`\\t${node} -> ${type} \\[label="([^"]*)"\\]`))[1];
+		};
+
+		expect(numbering('earlierAdjuster')).to.equal("adjusts #1");
+		expect(numbering('laterAdjuster')).to.equal("adjusts #2");
+		expect(numbering('_populateScopeContainer')).to.equal("adjusts #3");
+	});
+
+	it('exports profile wiring adjusters with their profiles', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.forProfile('test', () => {});
+		builder.forProfile('production', () => {});
+		const bootContainer = await builder.build().createBootContainer({ profiles: ['test'] });
+
+		const dot = exportWiringGraph(await bootContainer.get('wiring'), 'dot');
+
+		expect(dot).to.match(/ \[label="testProfileWiring \(test profile, active\)", /);
+		expect(dot).to.match(
+				/ \[label="productionProfileWiring \(production profile, inactive\)", /);
+	});
+
+	it('exports beans registered in container', async function () {
+		const builder = new WiringBuilder();
+		builder.adjustContainer('Test', async (container) => {
+			const { register, constructor, value } = container;
+			register('first', value('first'));
+			register('second', constructor(Object), 'first');
+		});
+		const container = await builder.build().createContainer('Test');
+
+		const dot = exportWiringGraph(container, 'dot');
+
+		expect(dot).to.include([
+			'\tsubgraph cluster_c0 {',
+			'\t\tlabel="Test container";',
+			'\t\tn2 [label="first", shape=box];',
+			'\t\tn3 [label="second", shape=box];',
+			'\t}'
+		].join('\n'));
+		expect(dot).to.include('\tn3 -> n2;');
+	});
+
+	it('exports missing beans', async function () {
+		const builder = new WiringBuilder();
+		builder.adjustContainer('Test', async (container) => {
+			const { register } = container;
+			register('alias', 'missing');
+		});
+		const container = await builder.build().createContainer('Test');
+
+		const dot = exportWiringGraph(container, 'dot');
+
+		expect(dot).to.include('n3 [label="missing", shape=box, style=dashed, color=red];');
+		expect(dot).to.include('\tn2 -> n3 [label="alias"];');
+	});
+
+	it('exports references between containers', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustBootContainer(async (container) => {
+			const { register, value } = container;
+			register('config', value({}));
+		});
+		builder.adjustAppContainer(async (container) => {
+			const { register, bean } = container;
+			register('config', bean('bootContainer.config'));
+		});
+		const bootContainer = await builder.build().createBootContainer();
+		const appContainer = await bootContainer.get('appContainer');
+
+		const mermaid = exportWiringGraph(appContainer, 'mermaid');
+
+		const cluster = (label) => {
+			const start = mermaid.indexOf(`["${label} container"]\n`);
+
+			return mermaid.slice(start, mermaid.indexOf('\tend\n', start));
+		};
+		const node = (text, label) => text.match(new RegExp(`\\t(n\\d+)[[>]"${label}"`))[1];
+		const appCluster = cluster('App');
+		const bootCluster = cluster('Boot');
+		const appType = mermaid.match(/\t(n\d+)\[\["App"\]\]/)[1];
+
+		['bootContainer', 'config', 'lifecycle', 'app'].forEach((label) => {
+			expect(appCluster).to.match(new RegExp(`\\tn\\d+[[>]"${label}"`));
+		});
+		['config', 'appContainer', 'app'].forEach((label) => {
+			expect(bootCluster).to.match(new RegExp(`\\tn\\d+[[>]"${label}"`));
+		});
+		expect(mermaid).to.include(
+				`\t${node(appCluster, 'config')} -->|"alias"| ${node(bootCluster, 'config')}\n`);
+		expect(mermaid).to.include(
+				`\t${node(bootCluster, 'appContainer')} ==>|"creates"| ${appType}\n`);
+		expect(mermaid).to.include(
+				`\t${node(bootCluster, 'app')} -->|"alias"| ${node(appCluster, 'app')}\n`);
+	});
+
+	it('exports beans found in fallback container', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('greeting', value("Hello"));
+		});
+		builder.adjustScopeContainer('Request', async (container, appContainer) => {
+			const { register, constructor, fallBackTo } = container;
+			fallBackTo(appContainer);
+			register('greeter', constructor(Object), 'greeting');
+		});
+		const appContainer = await builder.build().createAppContainer();
+		const appWiring = await appContainer.get('wiring');
+		const requestContainer = await appWiring.createScopeContainer('Request', appContainer);
+		await requestContainer.get('greeter');
+
+		const dot = exportWiringGraph(requestContainer, 'dot');
+
+		const appCluster = dot.slice(dot.indexOf('label="App container";'));
+		const greeter = dot.match(/(n\d+) \[label="greeter"/)[1];
+		const greeting = appCluster.match(/(n\d+) \[label="greeting"/)[1];
+		expect(dot).to.include(`\t${greeter} -> ${greeting} [color=blue];`);
+	});
+
+	it('exports container falling back to container not held as bean', async function () {
+		const wiring = new WiringBuilder()
+		.adjustContainer('Parent', async (container) => {
+			const { register, value } = container;
+			register('greeting', value("Hello"));
+		})
+		.adjustContainer('Child', async (container, parent) => {
+			const { register, constructor, fallBackTo } = container;
+			fallBackTo(parent);
+			register('greeter', constructor(Object), 'greeting');
+		})
+		.build();
+		const parent = await wiring.createContainer('Parent');
+		const child = await wiring.createContainer('Child', parent);
+
+		const dot = exportWiringGraph(child, 'dot');
+
+		expect(dot).to.include('\t\tlabel="Parent container";');
+		expect(dot).not.to.include('missingBean');
+		expect(dot).not.to.include('color=red');
+	});
+
+});
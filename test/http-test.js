@@ -0,0 +1,211 @@
+"use strict";
+
+const http = require("http");
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { value } = require("minimalist-async-di");
+
+const { StructuredWiringBuilder, currentScope } = require("../src/structured-wiring");
+const { httpWiring } = require("../src/http");
+const { Resource, until } = require("./fixtures");
+
+describe('http', function () {
+
+	let lifecycle;
+
+	afterEach(async function () {
+		if (lifecycle) {
+			await lifecycle.stop();
+			lifecycle = null;
+		}
+	});
+
+	it('throws creating http wiring with invalid options', async function () {
+		expect(() => httpWiring({ port: -1 })).to.throw(TypeError);
+		expect(() => httpWiring({ host: 3000 })).to.throw(TypeError);
+		expect(() => httpWiring({ reportError: console })).to.throw(TypeError);
+	});
+
+	it('handles request with handler of matching route in request container', async function () {
+		const builder = new StructuredWiringBuilder(httpWiring({ host: '127.0.0.1' }));
+		builder.contributeToList('App', 'routes', 'greet',
+				value({ method: 'GET', path: '/greet/:name', handler: 'greetHandler' }));
+		builder.adjustScopeContainer('Request', async (container) => {
+			const { register, factory } = container;
+			register('greetHandler', factory((params, url, response) => async () => {
+				const request = await currentScope('Request').get('request');
+				response.end(`${url.searchParams.get('greeting')}, ${params.name} ` +
+						`(${request.method})`);
+			}), 'params', 'url', 'response');
+		});
+
+		const port = await startServer(builder);
+
+		expect(await get(port, '/greet/J%20Howard?greeting=Hello'))
+		.to.deep.equal({ statusCode: 200, body: "Hello, J Howard (GET)" });
+	});
+
+	it('responds not found when no route matches', async function () {
+		const builder = new StructuredWiringBuilder(httpWiring({ host: '127.0.0.1' }));
+		builder.contributeToList('App', 'routes', 'greet',
+				value({ method: 'POST', path: '/greet/:name', handler: 'greetHandler' }));
+
+		const port = await startServer(builder);
+
+		expect((await get(port, '/greet/John')).statusCode).to.equal(404);
+		expect((await get(port, '/greet')).statusCode).to.equal(404);
+	});
+
+	it('disposes request container after response finishes', async function () {
+		const log = [];
+		const builder = new StructuredWiringBuilder(httpWiring({ host: '127.0.0.1' }));
+		builder.contributeToList('App', 'routes', 'slow',
+				value({ path: '/slow', handler: 'slowHandler' }));
+		builder.adjustScopeContainer('Request', async (container) => {
+			const { register, constructor, factory, value } = container;
+			register('resource', constructor(Resource), value(log), value('resource'));
+			register('slowHandler', factory((resource, response) => () => {
+				response.write("slow");
+				setTimeout(() => {
+					log.push('end response');
+					response.end();
+				}, 5);
+			}), 'resource', 'response');
+		});
+
+		const port = await startServer(builder);
+		const response = await get(port, '/slow');
+		await until(() => log.length === 2);
+
+		expect(response.body).to.equal("slow");
+		expect(log).to.deep.equal(['end response', 'close resource']);
+	});
+
+	it('reports failing handler and responds with server error', async function () {
+		const errors = [];
+		const builder = new StructuredWiringBuilder(httpWiring({
+			host: '127.0.0.1',
+			reportError: (error) => errors.push(error.message)
+		}));
+		builder.contributeToList('App', 'routes', 'fail',
+				value({ path: '/fail', handler: 'failHandler' }));
+		builder.adjustScopeContainer('Request', async (container) => {
+			const { register, value } = container;
+			register('failHandler', value(async () => {
+				throw new Error("handler failed");
+			}));
+		});
+
+		const port = await startServer(builder);
+
+		expect((await get(port, '/fail')).statusCode).to.equal(500);
+		expect(errors).to.deep.equal(["handler failed"]);
+	});
+
+	it('responds bad request to malformed parameter without reporting it', async function () {
+		const errors = [];
+		const builder = new StructuredWiringBuilder(httpWiring({
+			host: '127.0.0.1',
+			reportError: (error) => errors.push(error.message)
+		}));
+		builder.contributeToList('App', 'routes', 'greet',
+				value({ path: '/greet/:name', handler: 'greetHandler' }));
+
+		const port = await startServer(builder);
+
+		expect((await get(port, '/greet/%E0%A4%A')).statusCode).to.equal(400);
+		expect(errors).to.deep.equal([]);
+	});
+
+	it('responds bad request to request target not in origin form', async function () {
+		const errors = [];
+		const builder = new StructuredWiringBuilder(httpWiring({
+			host: '127.0.0.1',
+			reportError: (error) => errors.push(error.message)
+		}));
+		builder.contributeToList('App', 'routes', 'admin',
+				value({ path: '/admin', handler: 'adminHandler' }));
+		builder.adjustScopeContainer('Request', async (container) => {
+			const { register, factory } = container;
+			register('adminHandler', factory((response) => () => {
+				response.end("admin");
+			}), 'response');
+		});
+
+		const port = await startServer(builder);
+
+		expect((await get(port, '//evil.example/admin')).statusCode).to.equal(400);
+		expect((await get(port, '/\\evil.example/admin')).statusCode).to.equal(400);
+		expect((await get(port, '*')).statusCode).to.equal(400);
+		expect(errors).to.deep.equal([]);
+	});
+
+	it('handles request with malformed host header using path alone', async function () {
+		const errors = [];
+		const builder = new StructuredWiringBuilder(httpWiring({
+			host: '127.0.0.1',
+			reportError: (error) => errors.push(error.message)
+		}));
+		builder.contributeToList('App', 'routes', 'path',
+				value({ path: '/path', handler: 'pathHandler' }));
+		builder.adjustScopeContainer('Request', async (container) => {
+			const { register, factory } = container;
+			register('pathHandler', factory((url, response) => () => {
+				response.end(url.href);
+			}), 'url', 'response');
+		});
+
+		const port = await startServer(builder);
+
+		expect(await get(port, '/path?query', { host: 'bad host' }))
+		.to.deep.equal({ statusCode: 200, body: "http://localhost/path?query" });
+		expect(errors).to.deep.equal([]);
+	});
+
+	it('stops server when app container is disposed', async function () {
+		const builder = new StructuredWiringBuilder(httpWiring({ host: '127.0.0.1' }));
+		const appContainer = await builder.build().createAppContainer();
+		await (await appContainer.get('lifecycle')).start();
+		const httpServer = await appContainer.get('httpServer');
+		const port = httpServer.address().port;
+
+		await appContainer.dispose();
+
+		expect(httpServer.address()).to.be.null;
+		await expect(get(port, '/')).to.be.rejectedWith("ECONNREFUSED");
+	});
+
+	it('throws starting server with invalid routes', async function () {
+		const builder = new StructuredWiringBuilder(httpWiring());
+		builder.contributeToList('App', 'routes', 'invalid', value({ path: 'relative' }));
+
+		await expect(startServer(builder)).to.be.rejectedWith("invalid routes");
+	});
+
+	async function startServer(builder) {
+		const appContainer = await builder.build().createAppContainer();
+		const appLifecycle = await appContainer.get('lifecycle');
+		await appLifecycle.start();
+		lifecycle = appLifecycle;
+
+		return (await appContainer.get('httpServer')).address().port;
+	}
+
+});
+
+function get(port, path, headers = {}) {
+	return new Promise((resolve, reject) => {
+		http.get({ host: '127.0.0.1', port, path, headers }, (response) => {
+			let body = '';
+			response.setEncoding('utf8');
+			response.on('data', (chunk) => {
+				body += chunk;
+			});
+			response.on('end', () => resolve({ statusCode: response.statusCode, body }));
+		}).on('error', reject);
+	});
+}
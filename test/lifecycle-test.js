@@ -0,0 +1,300 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+
+describe('lifecycle', function () {
+
+	it('throws registering invalid service', async function () {
+		await expect(createAppContainer(async (container) => {
+			container.service('');
+		})).to.be.rejectedWith("invalid bean name");
+
+		await expect(createAppContainer(async (container) => {
+			container.service('server', { stopTimeout: -1 });
+		})).to.be.rejectedWith("invalid timeout");
+
+		await expect(createAppContainer(async (container) => {
+			container.service('server');
+			container.service('server');
+		})).to.be.rejectedWith("service 'server' already registered");
+	});
+
+	it('starts services in dependency order and stops them in reverse', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, constructor, factory, value } = container;
+			register('server', constructor(Service), value(log), value('server'), 'router');
+			register('router', factory((database) => ({ database })), 'database');
+			register('database', constructor(Service), value(log), value('database'));
+			register('mailer', constructor(Service), value(log), value('mailer'));
+			service('server');
+			service('database');
+			service('mailer');
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+
+		await lifecycle.start();
+		await lifecycle.stop();
+
+		expect(log).to.deep.equal([
+			'start database', 'start server', 'start mailer',
+			'stop mailer', 'stop server', 'stop database'
+		]);
+	});
+
+	it('starts services without start or stop functions', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('cache', value(new Map()));
+			register('database', constructor(Service), value(log), value('database'));
+			service('cache');
+			service('database');
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+
+		await lifecycle.start();
+		await lifecycle.stop();
+
+		expect(log).to.deep.equal(['start database', 'stop database']);
+	});
+
+	it('starts only once until stopped', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('database', constructor(Service), value(log), value('database'));
+			service('database');
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+
+		await Promise.all([lifecycle.start(), lifecycle.start()]);
+		await lifecycle.stop();
+		await lifecycle.stop();
+		await lifecycle.start();
+
+		expect(log).to.deep.equal(['start database', 'stop database', 'start database']);
+	});
+
+	it('waits for start to finish before stopping', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('database', constructor(Service), value(log), value('database'), value(10));
+			service('database');
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+
+		await Promise.all([lifecycle.start(), lifecycle.stop()]);
+
+		expect(log).to.deep.equal(['start database', 'stop database']);
+	});
+
+	it('rolls back started services when service fails to start', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('database', constructor(Service), value(log), value('database'));
+			register('server', constructor(FailingService), value(log), value('server'));
+			register('mailer', constructor(Service), value(log), value('mailer'));
+			service('database');
+			service('server');
+			service('mailer');
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+
+		const error = await lifecycle.start().catch((e) => e);
+
+		expect(error.message).to.equal("service 'server' failed to start: server failed");
+		expect(error.cause.message).to.equal("server failed");
+		expect(error.rollbackErrors).to.deep.equal([]);
+		expect(log).to.deep.equal(['start database', 'start server', 'stop database']);
+	});
+
+	it('rolls back started services when service takes too long to start', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('database', constructor(Service), value(log), value('database'));
+			register('server', constructor(Service), value(log), value('server'), value(20));
+			service('database');
+			service('server', { startTimeout: 5 });
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+
+		await expect(lifecycle.start()).to.be.rejectedWith(
+				"service 'server' failed to start: service 'server' did not start within 5ms");
+		expect(log).to.deep.equal(['start database', 'start server', 'stop server',
+			'stop database']);
+	});
+
+	it('stops service taking too long to start once it has started', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, factory } = container;
+			register('server', factory(() => ({
+				async start() {
+					await new Promise((resolve) => setTimeout(resolve, 20));
+					log.push('server started');
+				},
+				async stop() {
+					log.push('server stopped');
+				}
+			})));
+			service('server', { startTimeout: 5 });
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+
+		const error = await lifecycle.start().catch((e) => e);
+		log.push('start failed');
+
+		expect(error.rollbackErrors).to.deep.equal([]);
+		expect(log).to.deep.equal(['server started', 'server stopped', 'start failed']);
+	});
+
+	it('gives up waiting for service taking too long to start after stop timeout', async function () {
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, value } = container;
+			register('server', value({ start: () => new Promise(() => {}) }));
+			service('server', { startTimeout: 5, stopTimeout: 5 });
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+
+		const error = await lifecycle.start().catch((e) => e);
+
+		expect(error.rollbackErrors.map((e) => e.message)).to.deep.equal([
+			"service 'server' did not finish starting within 5ms"
+		]);
+	});
+
+	it('stops remaining services and rejects when services fail to stop', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('database', constructor(Service), value(log), value('database'));
+			register('mailer', constructor(Service), value(log), value('mailer'), value(20));
+			register('server', constructor(Service), value(log), value('server'));
+			service('database');
+			service('mailer', { stopTimeout: 5 });
+			service('server');
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+		await lifecycle.start();
+		(await appContainer.get('server')).stop = async () => {
+			throw new Error("server failed");
+		};
+
+		const error = await lifecycle.stop().catch((e) => e);
+
+		expect(error).to.be.an.instanceOf(AggregateError);
+		expect(error.errors.map((e) => e.message)).to.deep.equal([
+			"server failed",
+			"service 'mailer' did not stop within 5ms"
+		]);
+		expect(log).to.include('stop database');
+	});
+
+	it('stops services on signal', async function () {
+		const log = [];
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('database', constructor(Service), value(log), value('database'));
+			service('database');
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+		await lifecycle.start();
+		const listeners = process.listenerCount('SIGUSR2');
+
+		const removeListeners = lifecycle.stopOnSignals(['SIGUSR2']);
+		process.emit('SIGUSR2');
+		await lifecycle.stop();
+		removeListeners();
+
+		expect(log).to.deep.equal(['start database', 'stop database']);
+		expect(process.listenerCount('SIGUSR2')).to.equal(listeners);
+	});
+
+	it('stops services on signal to given process, reporting failure', async function () {
+		const errors = [];
+		const fakeProcess = new EventEmitter();
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, service, value } = container;
+			register('database', value({
+				stop: async () => {
+					throw new Error("stop failed");
+				}
+			}));
+			service('database');
+		});
+		const lifecycle = await appContainer.get('lifecycle');
+		await lifecycle.start();
+
+		lifecycle.stopOnSignals(['SIGTERM'], {
+			process: fakeProcess,
+			reportError: (error) => errors.push(error)
+		});
+		fakeProcess.emit('SIGTERM');
+		await lifecycle.stop().catch(() => {});
+
+		expect(fakeProcess.exitCode).to.equal(1);
+		expect(errors).to.have.lengthOf(1);
+		expect(fakeProcess.listenerCount('SIGTERM')).to.equal(0);
+	});
+
+	it('throws stopping on invalid signals', async function () {
+		const lifecycle = await (await createAppContainer(() => {})).get('lifecycle');
+
+		expect(() => lifecycle.stopOnSignals('SIGTERM')).to.throw(TypeError);
+		expect(() => lifecycle.stopOnSignals(['SIGTERM'], { process: {} })).to.throw(TypeError);
+		expect(() => lifecycle.stopOnSignals(['SIGTERM'], { reportError: null }))
+		.to.throw(TypeError);
+	});
+
+	it('uses lifecycle bean registered by adjusters', async function () {
+		const lifecycle = {};
+		const appContainer = await createAppContainer(async (container) => {
+			const { register, value } = container;
+			register('lifecycle', value(lifecycle));
+		});
+
+		expect(await appContainer.get('lifecycle')).to.equal(lifecycle);
+	});
+
+});
+
+class Service {
+	constructor(log, name, delay = 0) {
+		this.log = log;
+		this.name = name;
+		this.delay = delay;
+	}
+	async start() {
+		this.log.push(`start ${this.name}`);
+		await new Promise((resolve) => setTimeout(resolve, this.delay));
+	}
+	async stop() {
+		this.log.push(`stop ${this.name}`);
+		await new Promise((resolve) => setTimeout(resolve, this.delay));
+	}
+}
+
+class FailingService extends Service {
+	async start() {
+		await super.start();
+		throw new Error(`${this.name} failed`);
+	}
+}
+
+async function createAppContainer(adjuster) {
+	return await new StructuredWiringBuilder()
+	.adjustAppContainer(adjuster)
+	.build()
+	.createAppContainer();
+}
@@ -0,0 +1,128 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+const { BufferingLogger, loggingWiring } = require("../src/logging");
+
+describe('logging', function () {
+
+	let stream;
+
+	beforeEach(function () {
+		stream = { output: '', write(text) { this.output += text; } };
+	});
+
+	it('throws creating logging wiring with invalid options', async function () {
+		expect(() => loggingWiring({ createLogger: console })).to.throw(TypeError);
+		expect(() => loggingWiring({ fallbackStream: {} })).to.throw(TypeError);
+	});
+
+	it('throws flushing boot logger into invalid logger', async function () {
+		const bootLogger = new BufferingLogger(stream);
+
+		expect(() => bootLogger.flushTo({ info() {} })).to.throw(TypeError);
+	});
+
+	it('replays boot logger entries into logger when app starts', async function () {
+		const logger = new FakeLogger();
+		const builder = new StructuredWiringBuilder(loggingWiring({
+			createLogger: () => logger,
+			fallbackStream: stream
+		}));
+		builder.adjustWiringAfterBoot(async (addWiring, bootContainer) => {
+			const bootLogger = await bootContainer.get('bootLogger');
+			bootLogger.info("booting", { profiles: [] });
+			bootLogger.warn("no profiles");
+		});
+
+		const appContainer = await builder.build().createAppContainer();
+		expect(logger.calls).to.deep.equal([]);
+		await (await appContainer.get('lifecycle')).start();
+
+		expect(logger.calls).to.deep.equal([
+			['info', "booting", { profiles: [] }],
+			['warn', "no profiles"]
+		]);
+	});
+
+	it('passes boot logger entries through to logger once flushed', async function () {
+		const logger = new FakeLogger();
+		const builder = new StructuredWiringBuilder(loggingWiring({
+			createLogger: () => logger,
+			fallbackStream: stream
+		}));
+
+		const appContainer = await builder.build().createAppContainer();
+		await appContainer.get('logger');
+		(await appContainer.get('bootContainer.bootLogger')).error("late");
+		await appContainer.get('bootContainer').then((bootContainer) => bootContainer.dispose());
+
+		expect(logger.calls).to.deep.equal([['error', "late"]]);
+		expect(stream.output).to.equal('');
+	});
+
+	it('creates logger using boot container', async function () {
+		const builder = new StructuredWiringBuilder(loggingWiring({
+			createLogger: async (bootContainer) => new FakeLogger(await bootContainer.get('level')),
+			fallbackStream: stream
+		}));
+		builder.adjustBootContainer(async (container) => {
+			const { register, value } = container;
+			register('level', value('debug'));
+		});
+
+		const appContainer = await builder.build().createAppContainer();
+
+		expect((await appContainer.get('logger')).level).to.equal('debug');
+	});
+
+	it('writes boot logger entries to fallback stream when app fails to boot', async function () {
+		const builder = new StructuredWiringBuilder(loggingWiring({ fallbackStream: stream }));
+		builder.adjustWiringAfterBoot(async (addWiring, bootContainer) => {
+			(await bootContainer.get('bootLogger')).info("booting with %d profiles", 0);
+		});
+		builder.adjustAppContainer(async () => {
+			throw new Error("no database");
+		});
+
+		await expect(builder.build().createAppContainer()).to.be.rejectedWith("no database");
+
+		expect(stream.output).to.match(/^\d{4}-\d\d-\d\dT[\d:.]+Z INFO booting with 0 profiles\n$/);
+	});
+
+	it('writes boot logger entries to fallback stream when boot container fails', async function () {
+		const builder = new StructuredWiringBuilder(loggingWiring({ fallbackStream: stream }));
+		builder.adjustBootContainer(async (container) => {
+			(await container.get('bootLogger')).error("no configuration");
+			throw new Error("no configuration");
+		});
+
+		await expect(builder.build().createBootContainer()).to.be.rejectedWith("no configuration");
+
+		expect(stream.output).to.match(/ ERROR no configuration\n$/);
+	});
+
+});
+
+class FakeLogger {
+	constructor(level = 'info') {
+		this.level = level;
+		this.calls = [];
+	}
+	debug(...args) {
+		this.calls.push(['debug', ...args]);
+	}
+	info(...args) {
+		this.calls.push(['info', ...args]);
+	}
+	warn(...args) {
+		this.calls.push(['warn', ...args]);
+	}
+	error(...args) {
+		this.calls.push(['error', ...args]);
+	}
+}
@@ -0,0 +1,663 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { WiringBuilder } = require("../src/wiring");
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+const { Resource } = require("./fixtures");
+
+describe('managed container', function () {
+
+	describe('creation', function () {
+
+		it('creates beans with constructor', async function () {
+			const container = await createContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('bean', constructor(Resource), value('log'), value('name'));
+			});
+
+			const bean = await container.get('bean');
+			expect(bean).to.be.an.instanceOf(Resource);
+			expect(bean.name).to.equal('name');
+		});
+
+		it('creates beans with constructor bean', async function () {
+			const container = await createContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('Resource', value(Resource));
+				register('bean', constructor('Resource'), value('log'), value('name'));
+			});
+
+			const bean = await container.get('bean');
+			expect(bean).to.be.an.instanceOf(Resource);
+			expect(bean.name).to.equal('name');
+		});
+
+		it('creates beans with factory bean', async function () {
+			const container = await createContainer(async (container) => {
+				const { register, factory, value } = container;
+				register('maker', value({
+					prefix: 'made ',
+					make(name) { return this.prefix + name; }
+				}));
+				register('bean', factory('maker.make'), value('name'));
+			});
+
+			const bean = await container.get('bean');
+			expect(bean).to.equal('made name');
+		});
+
+		it('tells whether beans are registered without creating them', async function () {
+			let created = false;
+			const container = await createContainer(async (container) => {
+				const { register, factory } = container;
+				register('bean', factory(() => {
+					created = true;
+				}));
+			});
+
+			expect(container.isRegistered('bean')).to.be.true;
+			expect(container.isRegistered('other')).to.be.false;
+			expect(created).to.be.false;
+			expect(() => container.isRegistered('')).to.throw(TypeError);
+		});
+
+	});
+
+	describe('disposal', function () {
+
+		it('disposes created beans in reverse order of creation', async function () {
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('first', constructor(Resource), value(log), value('first'));
+				register('second', constructor(Resource), value(log), value('second'), 'first');
+			});
+			await container.get('second');
+
+			await container.dispose();
+
+			expect(log).to.deep.equal(['close second', 'close first']);
+		});
+
+		it('does not dispose beans which were never created', async function () {
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('first', constructor(Resource), value(log), value('first'));
+				register('second', constructor(Resource), value(log), value('second'));
+			});
+			await container.get('second');
+
+			await container.dispose();
+
+			expect(log).to.deep.equal(['close second']);
+		});
+
+		it('does not dispose value beans or aliases', async function () {
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { register, value } = container;
+				register('value', value(new Resource(log, 'value')));
+				register('alias', 'value');
+			});
+			await container.get('alias');
+
+			await container.dispose();
+
+			expect(log).to.deep.equal([]);
+		});
+
+		it('calls disposal hooks in order of preference', async function () {
+			if (typeof Symbol.asyncDispose !== 'symbol') {
+				this.skip();
+			}
+
+			const log = [];
+			class Closeable {
+				close() { log.push('close'); }
+			}
+			class Disposable {
+				close() { log.push('wrong'); }
+				dispose() { log.push('dispose'); }
+			}
+			class Symbolic {
+				dispose() { log.push('wrong'); }
+				[Symbol.dispose]() { log.push('dispose symbol'); }
+			}
+			class AsyncSymbolic {
+				[Symbol.dispose]() { log.push('wrong'); }
+				async [Symbol.asyncDispose]() { log.push('async dispose symbol'); }
+			}
+			const container = await createContainer(async (container) => {
+				const { register, constructor } = container;
+				register('closeable', constructor(Closeable));
+				register('disposable', constructor(Disposable));
+				register('symbolic', constructor(Symbolic));
+				register('asyncSymbolic', constructor(AsyncSymbolic));
+			});
+			for (const name of ['closeable', 'disposable', 'symbolic', 'asyncSymbolic']) {
+				await container.get(name);
+			}
+
+			await container.dispose();
+
+			expect(log).to.deep.equal(
+					['async dispose symbol', 'dispose symbol', 'dispose', 'close']);
+		});
+
+		it('calls only symbol disposal hooks of beans created by factories', async function () {
+			if (typeof Symbol.asyncDispose !== 'symbol') {
+				this.skip();
+			}
+
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { register, factory } = container;
+				register('closeable', factory(() => ({
+					close() { log.push('wrong'); },
+					dispose() { log.push('wrong'); }
+				})));
+				register('symbolic', factory(() => ({
+					close() { log.push('wrong'); },
+					[Symbol.dispose]() { log.push('dispose symbol'); }
+				})));
+			});
+			await container.get('closeable');
+			await container.get('symbolic');
+
+			await container.dispose();
+
+			expect(log).to.deep.equal(['dispose symbol']);
+		});
+
+		it('disposes bean whose creation finishes after disposal starts', async function () {
+			const log = [];
+			let startCreation;
+			const creationStarted = new Promise((resolve) => { startCreation = resolve; });
+			let finishCreation;
+			const container = await createContainer(async (container) => {
+				const { register, disposer, factory, constructor, value } = container;
+				register('first', constructor(Resource), value(log), value('first'));
+				register('second', factory(async () => {
+					await new Promise((resolve) => {
+						finishCreation = resolve;
+						startCreation();
+					});
+					return new Resource(log, 'second');
+				}), 'first');
+				disposer('second', (bean) => bean.close());
+			});
+			const second = container.get('second');
+			await creationStarted;
+
+			const disposal = container.dispose();
+			finishCreation();
+			await second;
+			await disposal;
+
+			expect(log).to.deep.equal(['close second', 'close first']);
+		});
+
+		it('calls registered disposer instead of hook', async function () {
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { register, disposer, constructor, value } = container;
+				register('bean', constructor(Resource), value(log), value('bean'));
+				disposer('bean', async (bean) => log.push(`disposer for ${bean.name}`));
+			});
+			await container.get('bean');
+
+			await container.dispose();
+
+			expect(log).to.deep.equal(['disposer for bean']);
+		});
+
+		it('disposes retained bean with its disposer when replaced', async function () {
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { register, disposer, replacement, constructor, value } = container;
+				register('bean', constructor(Resource), value(log), value('original'));
+				disposer('bean', async (bean) => log.push(`disposer for ${bean.name}`));
+				register(replacement('bean', 'originalBean'), constructor(Resource),
+						value(log), value('replacement'), 'originalBean');
+			});
+			await container.get('bean');
+
+			await container.dispose();
+
+			expect(log).to.deep.equal(['close replacement', 'disposer for original']);
+		});
+
+		it('throws registering disposer twice for the same bean', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', async (container) => {
+				const { disposer } = container;
+				disposer('bean', () => {});
+				disposer('bean', () => {});
+			});
+
+			await expect(builder.build().createContainer('Test'))
+			.to.eventually.be.rejectedWith(RangeError);
+		});
+
+		it('disposes remaining beans and rejects when disposal fails', async function () {
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { register, disposer, factory, constructor, value } = container;
+				register('first', constructor(Resource), value(log), value('first'));
+				register('second', factory(() => ({})), 'first');
+				disposer('second', () => {
+					throw new Error("failed");
+				});
+			});
+			await container.get('second');
+
+			await expect(container.dispose()).to.eventually.be.rejectedWith(AggregateError);
+			expect(log).to.deep.equal(['close first']);
+		});
+
+		it('disposes only once', async function () {
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('bean', constructor(Resource), value(log), value('bean'));
+			});
+			await container.get('bean');
+
+			await Promise.all([container.dispose(), container.dispose()]);
+			await container.dispose();
+
+			expect(log).to.deep.equal(['close bean']);
+		});
+
+		it('supports async disposal symbol', async function () {
+			if (typeof Symbol.asyncDispose !== 'symbol') {
+				this.skip();
+			}
+
+			const container = await createContainer(() => {});
+
+			expect(container[Symbol.asyncDispose]).to.equal(container.dispose);
+		});
+
+		it('rejects getting beans after disposal', async function () {
+			const container = await createContainer(async (container) => {
+				const { register, value } = container;
+				register('bean', value('value'));
+			});
+
+			await container.dispose();
+
+			await expect(container.get('bean')).to.eventually.be.rejectedWith(Error);
+		});
+
+		it('disposes container which fails to be created', async function () {
+			const log = [];
+			const creation = createContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('bean', constructor(Resource), value(log), value('bean'));
+				await container.get('bean');
+				throw new Error("adjuster failed");
+			});
+
+			await expect(creation).to.be.rejectedWith("adjuster failed");
+			expect(log).to.deep.equal(['close bean']);
+		});
+
+		it('disposes ensuing containers created by beans', async function () {
+			const log = [];
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Parent', async (container) => {
+				const { register, factory, value } = container;
+				register('child', factory('wiring.createContainer'), value('Child'));
+			});
+			builder.adjustContainer('Child', async (container) => {
+				const { register, constructor, value } = container;
+				register('bean', constructor(Resource), value(log), value('bean'));
+			});
+			const parent = await builder.build().createContainer('Parent');
+			const child = await parent.get('child');
+			await child.get('bean');
+
+			await parent.dispose();
+
+			expect(log).to.deep.equal(['close bean']);
+			await expect(child.get('bean')).to.eventually.be.rejectedWith(Error);
+		});
+
+	});
+
+	describe('contributions', function () {
+
+		it('collects contributions to list in order contributed', async function () {
+			const container = await createContainer(async (container) => {
+				const { contributeToList, register, factory, value } = container;
+				register('prefix', value('/api'));
+				contributeToList('routes', 'users', factory((prefix) => `${prefix}/users`),
+						'prefix');
+				contributeToList('routes', 'orders', value('/orders'));
+			});
+
+			expect(await container.get('routes')).to.deep.equal(['/api/users', '/orders']);
+		});
+
+		it('orders contributions with constraints', async function () {
+			const container = await createContainer(async (container) => {
+				const { contributeToList, value } = container;
+				contributeToList('middleware', { name: 'handler', priority: 10 },
+						value('handler'));
+				contributeToList('middleware', { name: 'logging', after: ['session'] },
+						value('logging'));
+				contributeToList('middleware', 'session', value('session'));
+				contributeToList('middleware', { name: 'errors', before: ['session'] },
+						value('errors'));
+			});
+
+			expect(await container.get('middleware'))
+			.to.deep.equal(['errors', 'session', 'logging', 'handler']);
+		});
+
+		it('flattens contributions', async function () {
+			const container = await createContainer(async (container) => {
+				const { contributeToList, contributeToMap, value } = container;
+				contributeToList('routes', { name: 'users', flatten: true },
+						value(['/users', '/users/:id']));
+				contributeToList('routes', 'orders', value('/orders'));
+				contributeToMap('metadata', { name: 'request', flatten: true },
+						value({ method: 'GET', path: '/' }));
+				contributeToMap('metadata', 'user', value('John'));
+			});
+
+			expect(await container.get('routes')).to.deep.equal(['/users', '/users/:id', '/orders']);
+			expect(await container.get('metadata'))
+			.to.deep.equal({ method: 'GET', path: '/', user: 'John' });
+		});
+
+		it('collects contributions to map keyed by name', async function () {
+			const container = await createContainer(async (container) => {
+				const { contributeToMap, value } = container;
+				contributeToMap('services', { name: 'mailer', after: ['database'] }, value('m'));
+				contributeToMap('services', 'database', value('d'));
+			});
+
+			const services = await container.get('services');
+			expect(services).to.deep.equal({ database: 'd', mailer: 'm' });
+			expect(Object.keys(services)).to.deep.equal(['database', 'mailer']);
+		});
+
+		it('registers contributions as replaceable beans', async function () {
+			const container = await createContainer(async (container) => {
+				const { contributeToList, register, replacement, value } = container;
+				contributeToList('routes', 'users', value('/users'));
+				register(replacement('routes#users'), value('/people'));
+			});
+
+			expect(await container.get('routes#users')).to.equal('/people');
+			expect(await container.get('routes')).to.deep.equal(['/people']);
+		});
+
+		it('disposes contributions but not collections', async function () {
+			const log = [];
+			const container = await createContainer(async (container) => {
+				const { contributeToMap, constructor, value } = container;
+				contributeToMap('services', 'resource', constructor(Resource), value(log),
+						value('resource'));
+				contributeToMap('services', 'close', value(() => log.push('services')));
+			});
+			await container.get('services');
+
+			await container.dispose();
+
+			expect(log).to.deep.equal(['close resource']);
+		});
+
+		it('throws contributing invalid entries', async function () {
+			await expect(createContainer(async (container) => {
+				container.contributeToList('routes', 'users.all', container.value('/users'));
+			})).to.be.rejectedWith(TypeError, "invalid contribution");
+
+			await expect(createContainer(async (container) => {
+				container.contributeToList('http.routes', 'users', container.value('/users'));
+			})).to.be.rejectedWith(TypeError, "invalid collection name");
+
+			await expect(createContainer(async (container) => {
+				container.contributeToList('routes', { name: 'users', flatten: 'yes' },
+						container.value('/users'));
+			})).to.be.rejectedWith(TypeError, "invalid contribution");
+		});
+
+		it('throws contributing conflicting entries', async function () {
+			await expect(createContainer(async (container) => {
+				const { contributeToList, value } = container;
+				contributeToList('routes', 'users', value('/users'));
+				contributeToList('routes', 'users', value('/people'));
+			})).to.be.rejectedWith(RangeError, "'users' already contributed to 'routes'");
+
+			await expect(createContainer(async (container) => {
+				const { contributeToList, contributeToMap, value } = container;
+				contributeToList('routes', 'users', value('/users'));
+				contributeToMap('routes', 'orders', value('/orders'));
+			})).to.be.rejectedWith(RangeError, "cannot contribute to list 'routes' as a map");
+
+			await expect(createContainer(async (container) => {
+				const { contributeToList, register, value } = container;
+				register('routes', value([]));
+				contributeToList('routes', 'users', value('/users'));
+			})).to.be.rejectedWith(RangeError,
+					"cannot contribute to 'routes', which is registered as a bean of its own");
+		});
+
+		it('throws contributing after collection is created', async function () {
+			const container = await createContainer(async (container) => {
+				container.contributeToList('routes', 'users', container.value('/users'));
+			});
+			await container.get('routes');
+
+			expect(() => container.contributeToList('routes', 'orders', container.value('/o')))
+			.to.throw(RangeError, "cannot contribute to 'routes' after it has been created");
+		});
+
+		it('rejects getting collection with contradictory constraints', async function () {
+			const container = await createContainer(async (container) => {
+				const { contributeToList, value } = container;
+				contributeToList('routes', { name: 'users', before: ['orders'] }, value('/u'));
+				contributeToList('routes', { name: 'orders', before: ['users'] }, value('/o'));
+			});
+
+			await expect(container.get('routes')).to.be.rejectedWith(
+					"contradictory ordering constraints for contributions to 'routes': " +
+					"users -> orders -> users (each must come before the next)");
+		});
+
+		it('rejects getting collection with duplicate keys', async function () {
+			const container = await createContainer(async (container) => {
+				const { contributeToMap, value } = container;
+				contributeToMap('metadata', { name: 'request', flatten: true },
+						value({ user: 'John' }));
+				contributeToMap('metadata', 'user', value('Jane'));
+			});
+
+			await expect(container.get('metadata')).to.be.rejectedWith(
+					"key 'user' contributed to 'metadata' more than once");
+		});
+
+	});
+
+	describe('fallback', function () {
+
+		it('throws falling back to invalid container', async function () {
+			const parent = await createContainer(() => {});
+			const child = await createContainer(() => {});
+
+			expect(() => child.fallBackTo({})).to.throw(TypeError);
+			expect(() => child.fallBackTo(child)).to.throw(RangeError);
+			child.fallBackTo(parent);
+			expect(() => child.fallBackTo(parent)).to.throw(RangeError,
+					"fallback container already set");
+			expect(() => parent.fallBackTo(child)).to.throw(RangeError);
+		});
+
+		it('throws reinstantiating invalid bean names', async function () {
+			const container = await createContainer(() => {});
+
+			expect(() => container.reinstantiate()).to.throw(TypeError);
+			expect(() => container.reinstantiate('config.console')).to.throw(TypeError);
+		});
+
+		it('shares beans not registered locally with fallback container', async function () {
+			const log = [];
+			const parent = await createContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('resource', constructor(Resource), value(log), value('parent'));
+				register('config', value({}));
+				register('config.name', value('parent config'));
+			});
+			const child = await createContainer(async (container) => {
+				container.fallBackTo(parent);
+			});
+
+			const resource = await child.get('resource');
+			const name = await child.get('config.name');
+			await child.dispose();
+
+			expect(resource).to.equal(await parent.get('resource'));
+			expect(name).to.equal('parent config');
+			expect(log).to.deep.equal([]);
+		});
+
+		it('prefers beans registered locally', async function () {
+			const parent = await createContainer(async (container) => {
+				const { register, value } = container;
+				register('config', value({ name: 'parent config' }));
+			});
+			const child = await createContainer(async (container) => {
+				const { register, fallBackTo, value } = container;
+				fallBackTo(parent);
+				register('config', value({ name: 'child config' }));
+			});
+
+			expect(await child.get('config.name')).to.equal('child config');
+		});
+
+		it('falls back through fallback containers', async function () {
+			const grandparent = await createContainer(async (container) => {
+				const { register, value } = container;
+				register('config', value({ name: 'grandparent config' }));
+			});
+			const parent = await createContainer(async (container) => {
+				container.fallBackTo(grandparent);
+			});
+			const child = await createContainer(async (container) => {
+				container.fallBackTo(parent);
+			});
+
+			expect(await child.get('config.name')).to.equal('grandparent config');
+			await expect(child.get('missing')).to.be.rejectedWith("no bean registered");
+		});
+
+		it('reinstantiates beans with dependencies found locally', async function () {
+			const log = [];
+			const parent = await createContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('resource', constructor(Resource), value(log), 'name');
+				register('resource.kind', value('resource'));
+				register('name', value('parent'));
+			});
+			const child = await createContainer(async (container) => {
+				const { register, fallBackTo, reinstantiate, value } = container;
+				fallBackTo(parent);
+				reinstantiate('resource');
+				register('name', value('child'));
+			});
+
+			const resource = await child.get('resource');
+			await child.dispose();
+
+			expect(resource.name).to.equal('child');
+			expect(resource.kind).to.equal('resource');
+			expect((await parent.get('resource')).name).to.equal('parent');
+			expect(log).to.deep.equal(['close child']);
+		});
+
+		it('finds beans in fallback container when checking contracts', async function () {
+			const builder = new StructuredWiringBuilder();
+			builder.adjustAppContainer(async (container) => {
+				const { register, value } = container;
+				register('app', value('app'));
+				register('console', value(console));
+			});
+			builder.adjustScopeContainer(async (container, appContainer) => {
+				container.fallBackTo(appContainer);
+			});
+			builder.adjustScopeContainer('Request', async (container) => {
+				const { register, constructor, bound } = container;
+				register('greeter', constructor(Object), bound('console.log'));
+			});
+			builder.provideBeans('Scope', ['console']);
+
+			const { problems } = await builder.build().validate();
+
+			expect(problems).to.deep.equal([]);
+		});
+
+	});
+
+	describe('for structured wiring', function () {
+
+		it('cascades disposal from boot container to app container', async function () {
+			const log = [];
+			const builder = new StructuredWiringBuilder();
+			builder.adjustAppContainer(async (container) => {
+				const { register, constructor, value } = container;
+				register('app', constructor(Resource), value(log), value('app'));
+			});
+			const bootContainer = await builder.build().createBootContainer();
+			await bootContainer.get('app');
+
+			await bootContainer.dispose();
+
+			expect(log).to.deep.equal(['close app']);
+		});
+
+		it('disposes scope containers independently of app container', async function () {
+			const log = [];
+			const builder = new StructuredWiringBuilder();
+			builder.adjustAppContainer(async (container) => {
+				const { register, factory, value } = container;
+				register('createRequestContainer',
+						factory('wiring.createScopeContainerFactory'),
+						value('Request'), value(container));
+			});
+			builder.adjustScopeContainer('Request', async (container, appContainer, name) => {
+				const { register, constructor, value } = container;
+				register('handler', constructor(Resource), value(log), value(name));
+			});
+			const appContainer = await builder.build().createAppContainer();
+			const createRequestContainer = await appContainer.get('createRequestContainer');
+
+			const firstRequest = await createRequestContainer('first');
+			await firstRequest.get('handler');
+			const secondRequest = await createRequestContainer('second');
+			await secondRequest.get('handler');
+			await firstRequest.dispose();
+			await secondRequest.dispose();
+
+			expect(log).to.deep.equal(['close first', 'close second']);
+			expect(await appContainer.get('createRequestContainer'))
+			.to.equal(createRequestContainer);
+		});
+
+	});
+
+});
+
+async function createContainer(adjuster) {
+	return await new WiringBuilder()
+	.adjustContainer('Test', adjuster)
+	.build()
+	.createContainer('Test');
+}
@@ -0,0 +1,162 @@
+"use strict";
+
+const expect = require("chai").expect;
+
+const { value } = require("minimalist-async-di");
+const { WiringBuilder } = require("../src/wiring");
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+const { explainBean } = require("../src/provenance");
+
+describe('provenance', function () {
+
+	it('throws explaining bean of something other than a container', async function () {
+		expect(() => explainBean({}, 'bean')).to.throw(TypeError);
+	});
+
+	it('throws explaining unregistered bean', async function () {
+		const container = await new WiringBuilder()
+		.adjustContainer('Test', () => {})
+		.build()
+		.createContainer('Test');
+
+		expect(() => explainBean(container, 'missing')).to.throw(RangeError);
+	});
+
+	it('explains registration by adjuster', async function () {
+		const container = await new WiringBuilder()
+		.adjustContainer('Test', async function testAdjuster(container) {
+			const { register, value } = container;
+			register('bean', value('value'));
+		})
+		.build()
+		.createContainer('Test');
+
+		expect(explainBean(container, 'bean')).to.deep.equal({
+			containerType: 'Test',
+			name: 'bean',
+			history: [
+				{ action: 'register', creator: 'value', adjuster: 'testAdjuster', module: null }
+			],
+			aliasOf: null
+		});
+	});
+
+	it('explains each contribution to collection', async function () {
+		const container = await new WiringBuilder()
+		.contributeToList('Test', 'routes', 'users', value('/users'))
+		.declareModule('users')
+		.build()
+		.createContainer('Test');
+
+		expect(explainBean(container, 'routes').history).to.deep.equal([
+			{ action: 'contribute', creator: 'factory', adjuster: 'routes#users', module: 'users' }
+		]);
+		expect(explainBean(container, 'routes#users').history).to.deep.equal([
+			{ action: 'register', creator: 'value', adjuster: 'routes#users', module: 'users' }
+		]);
+	});
+
+	it('explains wiring bean as registered by wiring itself', async function () {
+		const container = await new WiringBuilder()
+		.adjustContainer('Test', () => {})
+		.build()
+		.createContainer('Test');
+
+		expect(explainBean(container, 'wiring').history).to.deep.equal([
+			{ action: 'register', creator: 'value', adjuster: null, module: null }
+		]);
+	});
+
+	it('explains replacements by adjusters from declared modules', async function () {
+		const libraryWiring = new WiringBuilder()
+		.adjustContainer('Test', async function libraryAdjuster(container) {
+			const { register, constructor } = container;
+			register('bean', constructor(Object));
+		})
+		.declareModule('library')
+		.build();
+		const builder = new WiringBuilder()
+		.adjustBaseWiring(async function applicationWiring(addWiring) {
+			addWiring(libraryWiring);
+		})
+		.adjustContainer('Test', async function applicationAdjuster(container) {
+			const { register, replacement, factory } = container;
+			register(replacement('bean'), factory(() => ({})));
+		})
+		.declareModule('application');
+
+		const container = await builder.build().createContainer('Test');
+
+		expect(explainBean(container, 'bean').history).to.deep.equal([
+			{ action: 'register', creator: 'constructor', adjuster: 'libraryAdjuster',
+					module: 'library' },
+			{ action: 'replace', creator: 'factory', adjuster: 'applicationAdjuster',
+					module: 'application' }
+		]);
+	});
+
+	it('does not attribute adjusters added after importing a module', async function () {
+		const libraryWiring = new WiringBuilder()
+		.adjustContainer('Test', async function libraryAdjuster(container) {
+			const { register, value } = container;
+			register('bean', value('value'));
+		})
+		.declareModule('library')
+		.build();
+		const container = await new WiringBuilder(libraryWiring)
+		.adjustContainer('Test', async function testAdjuster(container) {
+			const { register, replacement, value } = container;
+			register(replacement('bean'), value('fake'));
+		})
+		.build()
+		.createContainer('Test');
+
+		expect(explainBean(container, 'bean').history.map(({ module }) => module))
+		.to.deep.equal(['library', null]);
+	});
+
+	it('explains aliases across containers', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustBootContainer(async function bootAdjuster(container) {
+			const { register, value } = container;
+			register('config', value({}));
+		});
+		builder.adjustAppContainer(async function appAdjuster(container) {
+			const { register, bean } = container;
+			register('config', bean('bootContainer.config'));
+		});
+		const appContainer = await builder.build().createAppContainer();
+
+		expect(explainBean(appContainer, 'config')).to.deep.equal({
+			containerType: 'App',
+			name: 'config',
+			history: [
+				{ action: 'register', creator: 'alias', adjuster: 'appAdjuster', module: null }
+			],
+			aliasOf: {
+				containerType: 'Boot',
+				name: 'config',
+				history: [
+					{ action: 'register', creator: 'value', adjuster: 'bootAdjuster',
+							module: null }
+				],
+				aliasOf: null
+			}
+		});
+	});
+
+	it('explains beans in other containers by dotted name', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustBootContainer(async function bootAdjuster(container) {
+			const { register, value } = container;
+			register('config', value({}));
+		});
+		const appContainer = await builder.build().createAppContainer();
+
+		const explanation = explainBean(appContainer, 'bootContainer.config');
+
+		expect(explanation.containerType).to.equal('Boot');
+		expect(explanation.name).to.equal('config');
+	});
+
+});
@@ -0,0 +1,232 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+const { Resource, until } = require("./fixtures");
+
+describe('runner', function () {
+
+	it('throws running with invalid options', async function () {
+		const wiring = new StructuredWiringBuilder().build();
+
+		await expect(wiring.run({}, { signals: 'SIGTERM' })).to.be.rejectedWith(TypeError);
+		await expect(wiring.run({}, { drainTimeout: -1 })).to.be.rejectedWith(TypeError);
+	});
+
+	it('runs app, then stops services, disposes containers and exits', async function () {
+		const log = [];
+		const fakeProcess = new FakeProcess();
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('database', constructor(Resource), value(log), value('database'));
+			register('app', constructor(App), value(log), 'database');
+			service('database');
+		});
+
+		const exitCode = await builder.build().run({}, { process: fakeProcess });
+
+		expect(exitCode).to.equal(0);
+		expect(fakeProcess.exitCodes).to.deep.equal([0]);
+		expect(log).to.deep.equal(['start database', 'run app', 'stop database',
+			'close app', 'close database']);
+		expect(fakeProcess.eventNames()).to.deep.equal([]);
+	});
+
+	it('exits with failure when app fails to boot', async function () {
+		const fakeProcess = new FakeProcess();
+		const builder = new StructuredWiringBuilder();
+		builder.adjustBootContainer(async () => {
+			throw new Error("no configuration");
+		});
+
+		const exitCode = await builder.build().run({}, { process: fakeProcess });
+
+		expect(exitCode).to.equal(1);
+		expect(fakeProcess.output).to.match(/^failed to run app: Error: no configuration/);
+	});
+
+	it('runs app without run method until signal', async function () {
+		const log = [];
+		const fakeProcess = new FakeProcess();
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, service, constructor, value } = container;
+			register('server', constructor(Resource), value(log), value('server'));
+			service('server');
+		});
+
+		const running = builder.build().run({}, { process: fakeProcess });
+		await until(() => log.length > 0);
+		fakeProcess.emit('SIGHUP');
+
+		expect(await running).to.equal(0);
+		expect(log).to.deep.equal(['start server', 'stop server', 'close server']);
+	});
+
+	it('shuts down with failure on unhandled rejection', async function () {
+		const fakeProcess = new FakeProcess();
+		const builder = new StructuredWiringBuilder();
+
+		const running = builder.build().run({}, { process: fakeProcess });
+		fakeProcess.emit('unhandledRejection', new Error("oops"));
+
+		expect(await running).to.equal(1);
+		expect(fakeProcess.output).to.match(/^unhandled rejection: Error: oops/);
+	});
+
+	it('exits immediately on signal while shutting down', async function () {
+		const log = [];
+		const fakeProcess = new FakeProcess();
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, service, value } = container;
+			register('server', value({
+				start: () => log.push('start server'),
+				stop: () => new Promise(() => {})
+			}));
+			service('server');
+		});
+
+		const running = builder.build().run({}, { process: fakeProcess });
+		await until(() => log.length > 0);
+		fakeProcess.emit('SIGTERM');
+		fakeProcess.emit('SIGINT');
+
+		expect(await running).to.equal(1);
+		expect(fakeProcess.exitCodes).to.deep.equal([1]);
+		expect(fakeProcess.output)
+		.to.equal("received SIGINT while shutting down; exiting immediately\n");
+	});
+
+	it('waits for open scope containers to be disposed', async function () {
+		const log = [];
+		const requests = [];
+		const fakeProcess = new FakeProcess();
+
+		const running = requestHandlingWiring(log, requests).run({}, { process: fakeProcess });
+		await until(() => requests.length > 0);
+		fakeProcess.emit('SIGTERM');
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(fakeProcess.exitCodes).to.deep.equal([]);
+		log.push('request finished');
+		await requests[0].dispose();
+
+		expect(await running).to.equal(0);
+		expect(log).to.deep.equal(['request finished', 'close handler']);
+	});
+
+	it('disposes scope containers still open after drain timeout', async function () {
+		const log = [];
+		const requests = [];
+		const fakeProcess = new FakeProcess();
+
+		const running = requestHandlingWiring(log, requests)
+		.run({}, { process: fakeProcess, drainTimeout: 5 });
+		await until(() => requests.length > 0);
+		fakeProcess.emit('SIGTERM');
+
+		expect(await running).to.equal(0);
+		expect(log).to.deep.equal(['close handler']);
+		expect(fakeProcess.output)
+		.to.equal("1 scope container(s) still open after 5ms; disposing them\n");
+	});
+
+	it('disposes every open scope container, reporting failures together', async function () {
+		const requests = [];
+		const fakeProcess = new FakeProcess();
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, service, factory, value } = container;
+			register('createRequestContainer',
+					factory('wiring.createScopeContainerFactory'), value('Request'));
+			register('server', factory((createRequestContainer) => ({
+				async start() {
+					requests.push(await createRequestContainer());
+					requests.push(await createRequestContainer());
+				},
+				stop() {}
+			})), 'createRequestContainer');
+			service('server');
+		});
+		builder.adjustScopeContainer('Request', async (container) => {
+			const { register, disposer, factory } = container;
+			register('handler', factory(() => ({})));
+			disposer('handler', () => {
+				throw new Error("close failed");
+			});
+		});
+
+		const running = builder.build()
+		.run({}, { process: fakeProcess, drainTimeout: 1 });
+		await until(() => requests.length === 2);
+		await Promise.all(requests.map((request) => request.get('handler')));
+		fakeProcess.emit('SIGTERM');
+
+		expect(await running).to.equal(1);
+		expect(await Promise.all(requests.map((request) =>
+				request.get('handler').then(() => 'open', () => 'disposed'))))
+		.to.deep.equal(['disposed', 'disposed']);
+		expect(fakeProcess.output).to.include("failed to drain scope containers: " +
+				"AggregateError: 2 scope container(s) failed to dispose");
+		expect(fakeProcess.output.match(/close failed/g)).to.have.lengthOf(2);
+	});
+
+});
+
+class FakeProcess extends EventEmitter {
+	constructor() {
+		super();
+		this.exitCodes = [];
+		this.output = '';
+		this.stderr = { write: (text) => { this.output += text; } };
+	}
+	exit(code) {
+		this.exitCodes.push(code);
+	}
+}
+
+/*
+ * The server starts handling a request, which is in flight until the test disposes its scope
+ * container.
+ */
+function requestHandlingWiring(log, requests) {
+	const builder = new StructuredWiringBuilder();
+	builder.adjustAppContainer(async (container) => {
+		const { register, service, factory, value } = container;
+		register('createRequestContainer', factory('wiring.createScopeContainerFactory'),
+				value('Request'), value(container));
+		register('server', factory((createRequestContainer) => ({
+			async start() {
+				const request = await createRequestContainer();
+				await request.get('handler');
+				requests.push(request);
+			}
+		})), 'createRequestContainer');
+		service('server');
+	});
+	builder.adjustScopeContainer('Request', async (container) => {
+		const { register, constructor, value } = container;
+		register('handler', constructor(Resource), value(log), value('handler'));
+	});
+
+	return builder.build();
+}
+
+class App {
+	constructor(log) {
+		this.log = log;
+	}
+	async run() {
+		this.log.push('run app');
+	}
+	async close() {
+		this.log.push('close app');
+	}
+}
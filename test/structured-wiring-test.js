@@ -1,8 +1,12 @@
 "use strict";
 
-const expect = require("chai").expect;
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
 
-const { StructuredWiringBuilder, StructuredWiring } = require("../src/structured-wiring");
+const { StructuredWiringBuilder, StructuredWiring, currentScope } =
+		require("../src/structured-wiring");
 
 const ARGUMENT = (variant = "") => `Arg${variant}`;
 const APP = (variant = "") => `App${variant}`;
@@ -12,10 +16,11 @@ const COMMON = (variant = "") => `Common${variant}`;
 
 describe('structured wiring', function () {
 
-	it('throws if scope name contains a dot', async function () {
+	it('throws if scope name has an empty segment', async function () {
 		const builder = new StructuredWiringBuilder();
 
-		expect(() => builder.adjustScopeContainer('Request.Goer', () => {})).to.throw(TypeError);
+		expect(() => builder.adjustScopeContainer('Request..Goer', () => {})).to.throw(TypeError);
+		expect(() => builder.adjustScopeContainer('Request.', () => {})).to.throw(TypeError);
 	});
 
 	it('adjusts boot container', async function () {
@@ -75,6 +80,25 @@ describe('structured wiring', function () {
 		expect(app).to.equal(APP());
 	});
 
+	it('disposes boot container when app container fails to be created', async function () {
+		const log = [];
+		const builder = new StructuredWiringBuilder();
+		builder.adjustBootContainer(async (container) => {
+			const { register, disposer, factory } = container;
+			register('resource', factory(() => ({})));
+			disposer('resource', () => {
+				log.push('close resource');
+			});
+			await container.get('resource');
+		});
+		builder.adjustAppContainer(async () => {
+			throw new Error("no database");
+		});
+
+		await expect(builder.build().createAppContainer()).to.be.rejectedWith("no database");
+		expect(log).to.deep.equal(['close resource']);
+	});
+
 	it('puts boot container in app container', async function () {
 		const wiring = makeSimpleAdjustments(new StructuredWiringBuilder()).build();
 
@@ -183,6 +207,340 @@ describe('structured wiring', function () {
 		await assertPostBootSimpleAdjustments(wiring, 2);
 	});
 
+	describe('profiles', function () {
+
+		let environmentProfiles;
+
+		beforeEach(function () {
+			environmentProfiles = process.env.WIRING_PROFILES;
+			delete process.env.WIRING_PROFILES;
+		});
+
+		afterEach(function () {
+			if (typeof environmentProfiles === 'undefined') {
+				delete process.env.WIRING_PROFILES;
+			} else {
+				process.env.WIRING_PROFILES = environmentProfiles;
+			}
+		});
+
+		it('throws adding wiring for invalid profile', async function () {
+			const builder = new StructuredWiringBuilder();
+
+			expect(() => builder.forProfile('', () => {})).to.throw(TypeError);
+			expect(() => builder.forProfile('a,b', () => {})).to.throw(TypeError);
+			expect(() => builder.forProfile('test', 'wiring')).to.throw(TypeError);
+		});
+
+		it('adds wiring for profiles active in boot options', async function () {
+			const builder = new StructuredWiringBuilder();
+			builder.forProfile('test', (profileBuilder) => {
+				profileBuilder.adjustAppContainer(async (container) => {
+					const { register, value } = container;
+					register('app', value(APP('Test')));
+				});
+			});
+			builder.forProfile('production', makeSimpleAdjustments(
+					new StructuredWiringBuilder(), 'Production').build());
+
+			const appContainer = await builder.build().createAppContainer({ profiles: ['test'] });
+
+			expect(await appContainer.get('app')).to.equal(APP('Test'));
+			expect(await appContainer.get('bootContainer.activeProfiles'))
+			.to.deep.equal(['test']);
+		});
+
+		it('adds wiring modules for profiles', async function () {
+			const builder = new StructuredWiringBuilder();
+			builder.forProfile('production', makeSimpleAdjustments(
+					new StructuredWiringBuilder(), 'Production').build());
+
+			const appContainer = await builder.build().createAppContainer({
+				profiles: ['production']
+			});
+
+			expect(await appContainer.get('app')).to.equal(APP('Production'));
+		});
+
+		it('chooses profiles from environment variable', async function () {
+			process.env.WIRING_PROFILES = 'local, test';
+
+			const bootContainer = await new StructuredWiringBuilder().build()
+			.createBootContainer();
+
+			expect(await bootContainer.get('activeProfiles')).to.deep.equal(['local', 'test']);
+		});
+
+		it('prefers profiles in boot options to environment variable', async function () {
+			process.env.WIRING_PROFILES = 'local';
+
+			const bootContainer = await new StructuredWiringBuilder().build()
+			.createBootContainer({ profiles: [] });
+
+			expect(await bootContainer.get('activeProfiles')).to.deep.equal([]);
+		});
+
+		it('chooses profiles with boot container bean', async function () {
+			const builder = new StructuredWiringBuilder();
+			builder.adjustBootContainer(async (container) => {
+				const { register, value } = container;
+				register('activeProfiles', value(['production']));
+			});
+			builder.forProfile('production', makeSimpleAdjustments(
+					new StructuredWiringBuilder(), 'Production').build());
+
+			const appContainer = await builder.build().createAppContainer();
+
+			expect(await appContainer.get('app')).to.equal(APP('Production'));
+		});
+
+		it('rejects invalid profiles', async function () {
+			const builder = new StructuredWiringBuilder();
+			builder.forProfile('test', () => {});
+
+			await expect(builder.build().createBootContainer({ profiles: 'test' }))
+			.to.be.rejectedWith("invalid profiles");
+		});
+
+		it('does not choose profiles without wiring for profiles', async function () {
+			const wiring = new StructuredWiringBuilder().build();
+
+			const bootContainer = await wiring.createBootContainer({ profiles: 'not profiles' });
+
+			expect((await bootContainer.get('wiring')).describe().activeProfiles).to.be.null;
+			await expect(bootContainer.get('activeProfiles')).to.be.rejectedWith("invalid profiles");
+		});
+
+		it('describes active profiles', async function () {
+			const builder = new StructuredWiringBuilder();
+			builder.forProfile('test', () => {});
+			const wiring = builder.build();
+
+			const appContainer = await wiring.createAppContainer({ profiles: ['test'] });
+
+			expect(wiring.describe().activeProfiles).to.be.null;
+			const description = (await appContainer.get('wiring')).describe();
+			expect(description.activeProfiles).to.deep.equal(['test']);
+			expect(description.containerTypes[0].adjusters.find(({ name }) =>
+					name === 'testProfileWiring')).to.include({
+				name: 'testProfileWiring',
+				wiringAdjuster: true,
+				profile: 'test',
+				active: true,
+				gathered: true
+			});
+		});
+
+	});
+
+	it('orders scope adjusters with constraints', async function () {
+		const calls = [];
+		const builder = new StructuredWiringBuilder();
+		builder.adjustScopeContainer('Request', async function requestAdjuster() {
+			calls.push('request');
+		}, { after: ['commonAdjuster'] });
+		builder.adjustScopeContainer(async function commonAdjuster() {
+			calls.push('common');
+		});
+
+		await builder.build().createScopeContainer('Request');
+
+		expect(calls).to.deep.equal(['common', 'request']);
+	});
+
+	it('exposes scope container creation on wiring bean', async function () {
+		const wiring = makeSimpleAdjustments(new StructuredWiringBuilder()).build();
+
+		const appContainer = await wiring.createAppContainer();
+
+		const wiringFromContainer = await appContainer.get('wiring');
+		const requestContainer =
+				await wiringFromContainer.createScopeContainer('Request', ARGUMENT());
+		expect(await requestContainer.get('request')).to.equal(REQUEST());
+	});
+
+	it('throws creating boot or app container from ensuing containers', async function () {
+		const wiring = makeSimpleAdjustments(new StructuredWiringBuilder()).build();
+
+		const appContainer = await wiring.createAppContainer();
+
+		const appWiring = await appContainer.get('wiring');
+		const requestContainer = await appWiring.createScopeContainer('Request', ARGUMENT());
+		await expect(appWiring.createContainer('Boot')).to.be.rejectedWith(RangeError,
+				"cannot create Boot container from a container created using the Boot " +
+				"container (or the container itself)");
+		await expect(appWiring.createContainerFactory('App')).to.be.rejectedWith(RangeError);
+		await expect((await requestContainer.get('wiring')).createContainer('App'))
+		.to.be.rejectedWith(RangeError);
+	});
+
+	describe('nested scopes', function () {
+
+		it('registers parent, app and boot containers in scope containers', async function () {
+			const wiring = transactionWiring();
+			const appContainer = await wiring.createAppContainer();
+			const bootContainer = await appContainer.get('bootContainer');
+
+			const requestContainer = await (await appContainer.get('wiring'))
+			.createScopeContainer('Request');
+			const transactionContainer = await (await requestContainer.get('wiring'))
+			.createScopeContainer('Request.Transaction');
+
+			expect(await requestContainer.get('parentContainer')).to.equal(appContainer);
+			expect(await requestContainer.get('appContainer')).to.equal(appContainer);
+			expect(await requestContainer.get('bootContainer')).to.equal(bootContainer);
+			expect(await transactionContainer.get('parentContainer')).to.equal(requestContainer);
+			expect(await transactionContainer.get('appContainer')).to.equal(appContainer);
+			expect(await transactionContainer.get('bootContainer')).to.equal(bootContainer);
+		});
+
+		it('applies parent scope adjustments to nested scope containers', async function () {
+			const wiring = transactionWiring();
+			const appContainer = await wiring.createAppContainer();
+			const requestContainer = await (await appContainer.get('wiring'))
+			.createScopeContainer('Request');
+			const createTransactionContainer =
+					await requestContainer.get('createTransactionContainer');
+
+			const transactionContainer = await createTransactionContainer(ARGUMENT());
+
+			expect(await transactionContainer.get('scope')).to.equal('Request.Transaction');
+			expect(await transactionContainer.get('arg')).to.equal(ARGUMENT());
+			expect(await transactionContainer.get('parentScope')).to.equal('Request');
+		});
+
+		it('throws creating nested scope container except from parent scope', async function () {
+			const wiring = transactionWiring();
+			const appContainer = await wiring.createAppContainer();
+			const appWiring = await appContainer.get('wiring');
+
+			await expect(appWiring.createScopeContainer('Request.Transaction'))
+			.to.be.rejectedWith(RangeError, "cannot create Scope.Request.Transaction container " +
+					"except from a Scope.Request container (or a container created using it)");
+			await expect(appWiring.createScopeContainerFactory('Request.Transaction'))
+			.to.be.rejectedWith(RangeError);
+		});
+
+		it('keeps containers registered by scope adjusters', async function () {
+			const builder = new StructuredWiringBuilder();
+			builder.adjustScopeContainer('Request', async (container) => {
+				const { register, value } = container;
+				register('appContainer', value("not really"));
+			});
+			const appContainer = await builder.build().createAppContainer();
+
+			const requestContainer = await (await appContainer.get('wiring'))
+			.createScopeContainer('Request');
+
+			expect(await requestContainer.get('appContainer')).to.equal("not really");
+			expect(await requestContainer.get('parentContainer')).to.equal(appContainer);
+		});
+
+	});
+
+	describe('current scope', function () {
+
+		it('throws getting current scope of invalid type', async function () {
+			expect(() => currentScope('.Request')).to.throw(TypeError);
+		});
+
+		it('has no current scope outside work run in scope', async function () {
+			const wiring = makeSimpleAdjustments(
+					new StructuredWiringBuilder(requestFactoryWiring())).build();
+			const appContainer = await wiring.createAppContainer();
+			const createRequestScopeContainer =
+					await appContainer.get('createRequestScopeContainer');
+
+			await createRequestScopeContainer(ARGUMENT());
+
+			expect(currentScope('Request')).to.be.null;
+		});
+
+		it('finds current scope deep within work run in scope', async function () {
+			const wiring = makeSimpleAdjustments(
+					new StructuredWiringBuilder(requestFactoryWiring())).build();
+			const appContainer = await wiring.createAppContainer();
+			const createRequestScopeContainer =
+					await appContainer.get('createRequestScopeContainer');
+			const findArg = async () => {
+				await new Promise((resolve) => setImmediate(resolve));
+				return await currentScope('Request').get('arg');
+			};
+
+			const args = await Promise.all([
+				createRequestScopeContainer.runInScope(findArg, ARGUMENT(1)),
+				createRequestScopeContainer.runInScope(findArg, ARGUMENT(2))
+			]);
+
+			expect(args).to.deep.equal([ARGUMENT(1), ARGUMENT(2)]);
+			expect(currentScope('Request')).to.be.null;
+		});
+
+		it('passes scope container to work and resolves to its result', async function () {
+			const wiring = makeSimpleAdjustments(
+					new StructuredWiringBuilder(requestFactoryWiring())).build();
+			const appContainer = await wiring.createAppContainer();
+			const createRequestScopeContainer =
+					await appContainer.get('createRequestScopeContainer');
+
+			const result = await createRequestScopeContainer.runInScope(
+					async (container) => container === currentScope('Request'), ARGUMENT());
+
+			expect(result).to.be.true;
+		});
+
+		it('keeps enclosing scopes of other types current', async function () {
+			const builder = new StructuredWiringBuilder(requestFactoryWiring());
+			builder.adjustScopeContainer('Request', async (container, appContainer) => {
+				const { register, factory, value } = container;
+				register('createJobScopeContainer', factory('wiring.createScopeContainerFactory'),
+						value('Job'), value(appContainer));
+			});
+			builder.adjustScopeContainer('Job', async () => {});
+			const appContainer = await builder.build().createAppContainer();
+			const createRequestScopeContainer =
+					await appContainer.get('createRequestScopeContainer');
+
+			const [request, job, scopes] = await createRequestScopeContainer.runInScope(
+					async (requestContainer) => {
+						const createJobScopeContainer =
+								await requestContainer.get('createJobScopeContainer');
+						return await createJobScopeContainer.runInScope(async (jobContainer) =>
+								[requestContainer, jobContainer,
+									[currentScope('Request'), currentScope('Job')]]);
+					});
+
+			expect(scopes).to.deep.equal([request, job]);
+		});
+
+		it('disposes scope container after work has run', async function () {
+			const closed = [];
+			const builder = new StructuredWiringBuilder(requestFactoryWiring());
+			builder.adjustScopeContainer('Request', async (container) => {
+				const { register, constructor } = container;
+				register('handler', constructor(class {
+					close() {
+						closed.push(this);
+					}
+				}));
+			});
+			const appContainer = await builder.build().createAppContainer();
+			const createRequestScopeContainer =
+					await appContainer.get('createRequestScopeContainer');
+
+			const handler = await createRequestScopeContainer.runInScope(
+					(container) => container.get('handler'));
+			await expect(createRequestScopeContainer.runInScope(async (container) => {
+				await container.get('handler');
+				throw new Error("handler failed");
+			})).to.be.rejectedWith("handler failed");
+
+			expect(closed).to.have.lengthOf(2);
+			expect(closed[0]).to.equal(handler);
+		});
+
+	});
+
 });
 
 function requestContainerWiring() {
@@ -211,6 +569,28 @@ function requestFactoryWiring() {
 	return builder.build();
 }
 
+function transactionWiring() {
+	const builder = new StructuredWiringBuilder();
+
+	builder.adjustScopeContainer('Request', async (container) => {
+		const { register, factory, value } = container;
+
+		register('scope', value('Request'));
+		register('createTransactionContainer', factory('wiring.createScopeContainerFactory'),
+				value('Request.Transaction'));
+	});
+
+	builder.adjustScopeContainer('Request.Transaction', async (container, arg) => {
+		const { register, replacement, value } = container;
+
+		register(replacement('scope'), value('Request.Transaction'));
+		register('arg', value(arg));
+		register('parentScope', 'parentContainer.scope');
+	});
+
+	return builder.build();
+}
+
 function createInterpreter(replace) {
 	return function interpret(container) {
 		const { register, replacement, value } = container;
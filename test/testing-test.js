@@ -0,0 +1,259 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+const { TestWiringBuilder } = require("../src/testing");
+
+describe('testing', function () {
+
+	it('throws replacing bean with invalid fake creator', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+
+		expect(() => builder.replaceBean('App', 'console', {})).to.throw(TypeError);
+	});
+
+	it('throws spying on bean with invalid name', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+
+		expect(() => builder.spyOnBean('App', '')).to.throw(TypeError);
+	});
+
+	it('replaces bean with fake', async function () {
+		const fakeConsole = { log() {} };
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.replaceBean('App', 'console', () => fakeConsole);
+
+		const appContainer = await builder.build().createAppContainer();
+
+		expect(await appContainer.get('console')).to.equal(fakeConsole);
+		expect(builder.fakes('App', 'console')).to.deep.equal([fakeConsole]);
+	});
+
+	it('creates fakes using container adjuster arguments', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.replaceBean('Boot', 'greeting', (bootOptions) => bootOptions.greeting);
+
+		const appContainer = await builder.build().createAppContainer({ greeting: "Hi" });
+		const app = await appContainer.get('app');
+
+		expect(app.greeting).to.equal("Hi");
+	});
+
+	it('creates fresh fake for each container', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.replaceBean('App', 'console', () => ({ log() {} }));
+		const wiring = builder.build();
+
+		const first = await (await wiring.createAppContainer()).get('console');
+		const second = await (await wiring.createAppContainer()).get('console');
+
+		expect(first).to.not.equal(second);
+	});
+
+	it('captures calls to methods of spied bean', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.replaceBean('App', 'console', () => ({ log() {} }));
+		builder.spyOnBean('App', 'console');
+
+		const appContainer = await builder.build().createAppContainer();
+		const app = await appContainer.get('app');
+		await app.run("John");
+
+		expect(builder.calls('App', 'console')).to.deep.equal([
+			{ method: 'log', args: ["Hello, John!"] }
+		]);
+	});
+
+	it('captures calls to spied function bean', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.spyOnBean('Scope.Request', 'emphasise');
+
+		const appContainer = await builder.build().createAppContainer();
+		const requestContainer = await appContainer.get('requestContainer');
+		const emphasise = await requestContainer.get('emphasise');
+
+		expect(emphasise("John")).to.equal("JOHN");
+		expect(builder.calls('Scope.Request', 'emphasise')).to.deep.equal([
+			{ method: null, args: ["John"] }
+		]);
+	});
+
+	it('rejects getting spied bean which is not object or function', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.spyOnBean('Boot', 'greeting');
+
+		const bootContainer = await builder.build().createBootContainer();
+
+		await expect(bootContainer.get('greeting'))
+		.to.be.rejectedWith("cannot spy on bean 'greeting'");
+	});
+
+	it('resets captured fakes and calls when boot container is created', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.replaceBean('App', 'console', () => ({ log() {} }));
+		builder.spyOnBean('App', 'console');
+		const wiring = builder.build();
+
+		const firstApp = await (await wiring.createAppContainer()).get('app');
+		await firstApp.run("John");
+		const secondApp = await (await wiring.createAppContainer()).get('app');
+		await secondApp.run("Jane");
+
+		expect(builder.fakes('App', 'console')).to.have.lengthOf(1);
+		expect(builder.calls('App', 'console')).to.deep.equal([
+			{ method: 'log', args: ["Hello, Jane!"] }
+		]);
+	});
+
+	it('disposes spied bean once', async function () {
+		if (typeof Symbol.dispose !== 'symbol') {
+			this.skip();
+		}
+
+		let disposals = 0;
+
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.replaceBean('App', 'console', () => ({
+			log() {},
+			[Symbol.dispose]() {
+				disposals++;
+			}
+		}));
+		builder.spyOnBean('App', 'console');
+
+		const appContainer = await builder.build().createAppContainer();
+		await appContainer.get('console');
+		await appContainer.dispose();
+
+		expect(disposals).to.equal(1);
+	});
+
+	it('captures calls in each container of spied type', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.spyOnBean('Scope.Request', 'emphasise');
+		const appContainer = await builder.build().createAppContainer();
+		const appWiring = await appContainer.get('wiring');
+
+		const firstRequest = await appWiring.createScopeContainer('Request', appContainer);
+		(await firstRequest.get('emphasise'))("John");
+		const secondRequest = await appWiring.createScopeContainer('Request', appContainer);
+		(await secondRequest.get('emphasise'))("Jane");
+
+		expect(builder.calls('Scope.Request', 'emphasise')).to.deep.equal([
+			{ method: null, args: ["John"] },
+			{ method: null, args: ["Jane"] }
+		]);
+	});
+
+	it('captures calls in concurrent containers of spied type', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.spyOnBean('Scope.Request', 'emphasise');
+		const appContainer = await builder.build().createAppContainer();
+		const appWiring = await appContainer.get('wiring');
+
+		const [firstRequest, secondRequest] = await Promise.all([
+			appWiring.createScopeContainer('Request', appContainer),
+			appWiring.createScopeContainer('Request', appContainer)
+		]);
+		(await firstRequest.get('emphasise'))("John");
+		(await secondRequest.get('emphasise'))("Jane");
+		await firstRequest.dispose();
+		await secondRequest.dispose();
+
+		expect(builder.calls('Scope.Request', 'emphasise')).to.deep.equal([
+			{ method: null, args: ["John"] },
+			{ method: null, args: ["Jane"] }
+		]);
+	});
+
+	it('spies on bean spied on by imported test wiring', async function () {
+		const importedBuilder = new TestWiringBuilder(productionWiring());
+		importedBuilder.replaceBean('App', 'console', () => ({ log() {} }));
+		importedBuilder.spyOnBean('App', 'console');
+		const builder = new TestWiringBuilder(importedBuilder.build());
+		builder.spyOnBean('App', 'console');
+
+		const app = await (await builder.build().createAppContainer()).get('app');
+		await app.run("John");
+
+		expect(builder.calls('App', 'console')).to.deep.equal([
+			{ method: 'log', args: ["Hello, John!"] }
+		]);
+		expect(importedBuilder.calls('App', 'console')).to.deep.equal([
+			{ method: 'log', args: ["Hello, John!"] }
+		]);
+	});
+
+	it('spies on fake replacing bean after spying on it', async function () {
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.spyOnBean('App', 'console');
+		builder.replaceBean('App', 'console', () => ({ log() {} }));
+
+		const app = await (await builder.build().createAppContainer()).get('app');
+		await app.run("John");
+
+		expect(builder.fakes('App', 'console')).to.have.lengthOf(1);
+		expect(builder.calls('App', 'console')).to.deep.equal([
+			{ method: 'log', args: ["Hello, John!"] }
+		]);
+	});
+
+	it('disposes spied bean with disposer registered after spying on it', async function () {
+		const disposed = [];
+		const fakeConsole = { log() {} };
+
+		const builder = new TestWiringBuilder(productionWiring());
+		builder.replaceBean('App', 'console', () => fakeConsole);
+		builder.spyOnBean('App', 'console');
+		builder.adjustAppContainer(async (container) => {
+			const { disposer } = container;
+			disposer('console', (bean) => disposed.push(bean));
+		});
+
+		const appContainer = await builder.build().createAppContainer();
+		await appContainer.get('console');
+		await appContainer.dispose();
+
+		expect(disposed).to.have.lengthOf(1);
+		expect(disposed[0]).to.equal(fakeConsole);
+	});
+
+});
+
+function productionWiring() {
+	const builder = new StructuredWiringBuilder();
+
+	builder.adjustBootContainer(async (container) => {
+		const { register, value } = container;
+		register('greeting', value("Hello"));
+	});
+
+	builder.adjustAppContainer(async (container) => {
+		const { register, constructor, bean, factory, value } = container;
+		register('console', value(console));
+		register('app', constructor(App), bean('bootContainer.greeting'), bean('console'));
+		register('requestContainer', factory(bean('wiring.createScopeContainer')),
+				value('Request'), value(container));
+	});
+
+	builder.adjustScopeContainer('Request', async (container) => {
+		const { register, value } = container;
+		register('emphasise', value((text) => text.toUpperCase()));
+	});
+
+	return builder.build();
+}
+
+class App {
+	constructor(greeting, console) {
+		this.greeting = greeting;
+		this.console = console;
+	}
+	run(name) {
+		this.console.log(`${this.greeting}, ${name}!`);
+	}
+}
@@ -0,0 +1,348 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { StructuredWiringBuilder } = require("../src/structured-wiring");
+
+describe('validation', function () {
+
+	it('finds no problems in valid wiring', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('app', value('app'));
+		});
+
+		const result = await builder.build().validate();
+
+		expect(result).to.deep.equal({ valid: true, problems: [] });
+	});
+
+	it('finds missing bean with adjuster that introduced it', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.declareModule('testModule');
+		builder.adjustAppContainer(async function testAdjuster(container) {
+			const { register, constructor, bean } = container;
+			register('app', constructor(Object), bean('missing'));
+		});
+
+		const { valid, problems } = await builder.build().validate();
+
+		expect(valid).to.be.false;
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'missingBean',
+			containerType: 'App',
+			bean: 'app',
+			reference: 'missing',
+			adjuster: 'testAdjuster',
+			module: 'testModule'
+		});
+	});
+
+	it('finds missing bean referenced from another container', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('app', value('app'));
+		});
+		builder.adjustScopeContainer('Request', async function testScope(container) {
+			const { register, constructor, bound } = container;
+			register('greeter', constructor(Object), bound('appContainer.emphasize'));
+		});
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('emphasise', value((text) => text));
+		});
+		builder.adjustScopeContainer(async (container, appContainer) => {
+			const { register, value } = container;
+			register('appContainer', value(appContainer));
+		});
+
+		const { problems } = await builder.build().validate();
+
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'missingBean',
+			containerType: 'Scope.Request',
+			bean: 'greeter',
+			reference: 'appContainer.emphasize',
+			adjuster: 'testScope'
+		});
+	});
+
+	it('finds missing bean referenced from parent scope container', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('app', value('app'));
+		});
+		builder.adjustScopeContainer('Request', async (container) => {
+			const { register, value } = container;
+			register('user', value('user'));
+		});
+		builder.adjustScopeContainer('Request.Transaction', async function testScope(container) {
+			const { register, constructor } = container;
+			register('audit', constructor(Object), 'parentContainer.user',
+					'parentContainer.session');
+		});
+
+		const { problems } = await builder.build().validate();
+
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'missingBean',
+			containerType: 'Scope.Request.Transaction',
+			bean: 'audit',
+			reference: 'parentContainer.session'
+		});
+	});
+
+	it('follows app container created by boot container', async function () {
+		const builder = new StructuredWiringBuilder();
+
+		const { problems } = await builder.build().validate();
+
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'missingBean',
+			containerType: 'Boot',
+			bean: 'app',
+			reference: 'appContainer.app'
+		});
+	});
+
+	it('does not create beans', async function () {
+		let created = false;
+
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, factory } = container;
+			register('app', factory(() => {
+				created = true;
+			}));
+		});
+
+		await builder.build().validate();
+
+		expect(created).to.be.false;
+	});
+
+	it('finds missing container type', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async function testAdjuster(container) {
+			const { register, value, factory, bean } = container;
+			register('app', value('app'));
+			register('createJobContainer', factory(bean('wiring.createScopeContainerFactory')),
+					value('Job'), value(container));
+		});
+
+		const { problems } = await builder.build().validate();
+
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'missingContainerType',
+			containerType: 'App',
+			bean: 'createJobContainer',
+			reference: 'Scope.Job',
+			adjuster: 'testAdjuster'
+		});
+	});
+
+	it('finds dependency cycle once', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async function testAdjuster(container) {
+			const { register, constructor } = container;
+			register('app', constructor(Object), 'first');
+			register('first', constructor(Object), 'second');
+			register('second', constructor(Object), 'first');
+		});
+
+		const { problems } = await builder.build().validate();
+
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'cycle',
+			containerType: 'App',
+			bean: 'first',
+			adjuster: 'testAdjuster'
+		});
+		expect(problems[0].cycle).to.deep.equal(['App:first', 'App:second', 'App:first']);
+	});
+
+	it('ignores cycles through lazy dependencies', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, constructor, promiser } = container;
+			register('app', constructor(Object), 'first');
+			register('first', constructor(Object), promiser('app'));
+		});
+
+		const { valid } = await builder.build().validate();
+
+		expect(valid).to.be.true;
+	});
+
+	it('finds captive dependency once with path that caused it', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, constructor, value } = container;
+			register('app', value('app'));
+			register('logger', value(console));
+			register('formatter', constructor(Object), 'logger');
+			register('greeter', constructor(Object), 'formatter');
+		});
+		builder.adjustScopeContainer('Request', async function testScope(container) {
+			const { register, constructor, bean } = container;
+			register('logger', constructor(Object), 'appContainer.logger');
+			register('greeter', bean('appContainer.greeter'));
+			register('handler', constructor(Object), 'greeter');
+		});
+
+		const { problems } = await builder.build().validate();
+
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'captiveDependency',
+			containerType: 'Scope.Request',
+			bean: 'greeter',
+			reference: 'logger',
+			adjuster: 'testScope'
+		});
+		expect(problems[0].path).to.deep.equal(['Scope.Request:greeter', 'App:greeter',
+			'App:formatter', 'App:logger']);
+	});
+
+	it('finds captive dependency of bean found in fallback container', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, constructor, value } = container;
+			register('app', value('app'));
+			register('logger', value(console));
+			register('greeter', constructor(Object), 'logger');
+		});
+		builder.adjustScopeContainer('Request', async (container, appContainer) => {
+			const { register, constructor, fallBackTo } = container;
+			fallBackTo(appContainer);
+			register('logger', constructor(Object));
+			register('handler', constructor(Object), 'greeter');
+		});
+
+		const { problems } = await builder.build().validate();
+
+		expect(problems.map((problem) => problem.path)).to.deep.equal([
+			['Scope.Request:handler', 'App:greeter', 'App:logger']
+		]);
+	});
+
+	it('ignores re-instantiated beans and beans shared with longer-lived containers',
+			async function () {
+				const builder = new StructuredWiringBuilder();
+				builder.adjustAppContainer(async (container) => {
+					const { register, constructor, value } = container;
+					register('app', value('app'));
+					register('logger', value(console));
+					register('greeter', constructor(Object), 'logger', 'bootContainer');
+				});
+				builder.adjustScopeContainer('Request', async (container, appContainer) => {
+					const { register, constructor, fallBackTo, reinstantiate } = container;
+					fallBackTo(appContainer);
+					reinstantiate('greeter');
+					register('logger', constructor(Object), 'appContainer.logger');
+					register('handler', constructor(Object), 'greeter', 'app');
+				});
+
+				const { valid } = await builder.build().validate();
+
+				expect(valid).to.be.true;
+			});
+
+	it('reports failing adjuster', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustScopeContainer('Request', async () => {
+			throw new Error("adjuster failed");
+		});
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('app', value('app'));
+		});
+
+		const { problems } = await builder.build().validate();
+
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'adjusterFailed',
+			containerType: 'Scope.Request'
+		});
+		expect(problems[0].error.message).to.equal("adjuster failed");
+	});
+
+	it('reports container failing to dispose', async function () {
+		const builder = new StructuredWiringBuilder();
+		builder.adjustBootContainer(async (container) => {
+			const { register, disposer, factory } = container;
+			register('config', factory(() => ({})));
+			disposer('config', () => {
+				throw new Error("close failed");
+			});
+		});
+		builder.adjustWiringAfterBoot(async (addWiring, bootContainer) => {
+			await bootContainer.get('config');
+		});
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('app', value('app'));
+		});
+
+		const { valid, problems } = await builder.build().validate();
+
+		expect(valid).to.be.false;
+		expect(problems).to.have.lengthOf(1);
+		expect(problems[0]).to.include({
+			kind: 'disposeFailed',
+			containerType: 'Boot'
+		});
+		expect(problems[0].message).to.match(/^disposing Boot container failed: /);
+	});
+
+	it('creates scope containers with given arguments', async function () {
+		let scopeArgs;
+
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('app', value('app'));
+		});
+		builder.adjustScopeContainer('Request', async (container, ...args) => {
+			scopeArgs = args;
+		});
+
+		await builder.build().validate({}, {
+			scopeArguments: {
+				Request: (appContainer) => [appContainer, 'name']
+			}
+		});
+
+		expect(scopeArgs[0].containerType).to.equal('App');
+		expect(scopeArgs[1]).to.equal('name');
+	});
+
+	it('disposes containers it creates', async function () {
+		let appContainer;
+
+		const builder = new StructuredWiringBuilder();
+		builder.adjustAppContainer(async (container) => {
+			const { register, value } = container;
+			register('app', value('app'));
+			appContainer = container;
+		});
+
+		await builder.build().validate();
+
+		await expect(appContainer.get('app')).to.be.rejected;
+	});
+
+});
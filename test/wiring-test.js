@@ -1,10 +1,13 @@
 "use strict";
 
+const util = require("util");
+
 const chai = require("chai");
 const chaiAsPromised = require("chai-as-promised");
 chai.use(chaiAsPromised);
 const expect = chai.expect;
 
+const { value } = require("minimalist-async-di");
 const { WiringBuilder, Wiring } = require("../src/wiring");
 
 const STUB_VALUE = "stump";
@@ -599,6 +602,831 @@ describe('wiring', function () {
 
 	});
 
+	describe('for modules', function () {
+
+		it('throws declaring module with invalid version', async function () {
+			const builder = new WiringBuilder();
+
+			expect(() => builder.declareModule('module', 1)).to.throw(TypeError);
+		});
+
+		it('adds module adjusters once when added repeatedly', async function () {
+			let calls = 0;
+			const moduleWiring = () => new WiringBuilder()
+			.adjustContainer('Test', async function moduleAdjuster() {
+				calls++;
+			})
+			.declareModule('module', '1.0.0')
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring());
+			builder.addWiring(moduleWiring());
+			builder.addWiring(moduleWiring());
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.equal(1);
+		});
+
+		it('adds module adjusters once when included by other modules', async function () {
+			let calls = 0;
+			const moduleWiring = () => new WiringBuilder()
+			.adjustContainer('Test', async function moduleAdjuster() {
+				calls++;
+			})
+			.declareModule('module')
+			.build();
+			const firstWiring = new WiringBuilder(moduleWiring())
+			.adjustContainer('Test', registerBeans({'first': STUB_VALUE}))
+			.declareModule('first')
+			.build();
+			const secondWiring = new WiringBuilder(moduleWiring())
+			.adjustContainer('Test', registerBeans({'second': STUB_VALUE}))
+			.declareModule('second')
+			.build();
+
+			const builder = new WiringBuilder();
+			builder.addWiring(firstWiring);
+			builder.addWiring(secondWiring);
+
+			await buildAndAssertBeans(builder, 'Test', {
+				'first': STUB_VALUE,
+				'second': STUB_VALUE
+			});
+			expect(calls).to.equal(1);
+		});
+
+		it('adds module adjusters once when supplied by wiring adjusters', async function () {
+			let calls = 0;
+			const moduleWiring = () => new WiringBuilder()
+			.adjustContainer('Test', async function moduleAdjuster() {
+				calls++;
+			})
+			.declareModule('module')
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring());
+			builder.adjustBaseWiring(async (addWiring) => {
+				addWiring(moduleWiring());
+			});
+			builder.adjustBaseWiring(async (addWiring) => {
+				addWiring(moduleWiring());
+			});
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.equal(1);
+		});
+
+		it('adds module wiring adjusters once', async function () {
+			let calls = 0;
+			const moduleWiring = () => new WiringBuilder()
+			.adjustBaseWiring(async function moduleWiringAdjuster() {
+				calls++;
+			})
+			.adjustContainer('Test', () => {})
+			.declareModule('module')
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring());
+			builder.addWiring(moduleWiring());
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.equal(1);
+		});
+
+		it('adds module without version once with versioned module', async function () {
+			let calls = 0;
+			const moduleWiring = (version) => new WiringBuilder()
+			.adjustContainer('Test', async function moduleAdjuster() {
+				calls++;
+			})
+			.declareModule('module', version)
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring());
+			builder.addWiring(moduleWiring('1.0.0'));
+			builder.addWiring(moduleWiring());
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.equal(1);
+		});
+
+		it('throws adding conflicting module version', async function () {
+			const moduleWiring = (version) => new WiringBuilder()
+			.adjustContainer('Test', () => {})
+			.declareModule('module', version)
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring('1.0.0'));
+
+			expect(() => builder.addWiring(moduleWiring('2.0.0'))).to.throw(RangeError,
+					"wiring module 'module' version 2.0.0 conflicts with version 1.0.0 already added");
+		});
+
+		it('adds module once with compatible versions, keeping the higher', async function () {
+			let calls = 0;
+			const moduleWiring = (version) => new WiringBuilder()
+			.adjustContainer('Test', async function moduleAdjuster() {
+				calls++;
+			})
+			.declareModule('module', version)
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring('1.0.1'));
+			builder.addWiring(moduleWiring('1.2.0'));
+			builder.addWiring(moduleWiring('1.0.0'));
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.equal(1);
+			expect(() => builder.addWiring(moduleWiring('2.0.0'))).to.throw(RangeError,
+					"wiring module 'module' version 2.0.0 conflicts with version 1.2.0 already added");
+		});
+
+		it('replaces adjusters of module with those of higher compatible version', async function () {
+			const moduleWiring = (version) => new WiringBuilder()
+			.adjustContainer('Test', async function moduleAdjuster(container) {
+				const { register, value } = container;
+				register('implementation', value(version));
+			})
+			.requireBeans('Test', [`required ${version}`])
+			.declareModule('module', version)
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring('1.0.0'));
+			builder.addWiring(moduleWiring('1.4.0'));
+			builder.adjustContainer('Test', async (container) => {
+				const { register, value } = container;
+				register('required 1.4.0', value(true));
+			});
+			const wiring = builder.build();
+			const container = await wiring.createContainer('Test');
+
+			expect(await container.get('implementation')).to.equal('1.4.0');
+			expect(wiring.describe().modules).to.deep.equal([{ name: 'module', version: '1.4.0' }]);
+		});
+
+		it('puts adjusters of higher compatible module version in place of lower', async function () {
+			const moduleWiring = (version) => new WiringBuilder()
+			.adjustContainer('Test', async function moduleAdjuster(container) {
+				const { register, value } = container;
+				register('implementation', value(version));
+			})
+			.declareModule('module', version)
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring('1.0.0'));
+			builder.adjustContainer('Test', async function replacingAdjuster(container) {
+				const { register, replacement, factory } = container;
+				register(replacement('implementation', 'original'),
+						factory((original) => `replaced ${original}`), 'original');
+			});
+			builder.addWiring(moduleWiring('1.1.0'));
+			const wiring = builder.build();
+			const container = await wiring.createContainer('Test');
+
+			expect(await container.get('implementation')).to.equal('replaced 1.1.0');
+			expect(wiring.describe().containerTypes[0].adjusters.map(({ name }) => name))
+			.to.deep.equal(['moduleAdjuster', 'replacingAdjuster']);
+		});
+
+		it('keeps version of module already included in wiring adjuster', async function () {
+			const moduleWiring = (version) => new WiringBuilder()
+			.adjustContainer('Test', async function moduleAdjuster(container) {
+				const { register, value } = container;
+				register('implementation', value(version));
+			})
+			.declareModule('module', version)
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring('1.0.0'));
+			builder.adjustBaseWiring(async (addWiring) => {
+				addWiring(moduleWiring('1.4.0'));
+			});
+			const container = await builder.build().createContainer('Test');
+			const wiring = await container.get('wiring');
+
+			expect(await container.get('implementation')).to.equal('1.0.0');
+			expect(wiring.describe().modules).to.deep.equal([{ name: 'module', version: '1.0.0' }]);
+		});
+
+		it('throws adding incompatible pre-1.0 module versions', async function () {
+			const moduleWiring = (version) => new WiringBuilder()
+			.adjustContainer('Test', () => {})
+			.declareModule('module', version)
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring('0.1.0'));
+			builder.addWiring(moduleWiring('0.1.3'));
+
+			expect(() => builder.addWiring(moduleWiring('0.2.0'))).to.throw(RangeError);
+			expect(() => builder.addWiring(moduleWiring('unversioned'))).to.throw(RangeError);
+		});
+
+		it('throws adding conflicting module version in wiring adjuster', async function () {
+			const moduleWiring = (version) => new WiringBuilder()
+			.adjustContainer('Test', () => {})
+			.declareModule('module', version)
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring('1.0.0'));
+			builder.adjustBaseWiring(async (addWiring) => {
+				addWiring(moduleWiring('2.0.0'));
+			});
+
+			await expect(builder.build().createContainer('Test')).to.be.rejectedWith(RangeError);
+		});
+
+		it('throws declaring module conflicting with imported version', async function () {
+			const moduleWiring = new WiringBuilder()
+			.adjustContainer('Test', () => {})
+			.declareModule('module', '1.0.0')
+			.build();
+
+			const builder = new WiringBuilder(moduleWiring).declareModule('module', '2.0.0');
+
+			expect(() => builder.build()).to.throw(RangeError);
+		});
+
+	});
+
+	describe('for contracts', function () {
+
+		it('throws declaring contract with invalid names', async function () {
+			const builder = new WiringBuilder();
+
+			expect(() => builder.requireBeans('Test', 'bean')).to.throw(TypeError);
+			expect(() => builder.provideBeans('Test', [''])).to.throw(TypeError);
+			expect(() => builder.requireArguments('.Test', ['argument'])).to.throw(TypeError);
+		});
+
+		it('creates container meeting contracts', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', registerBeans({'first': STUB_VALUE}));
+			builder.requireBeans('Test', ['first']);
+			builder.provideBeans('Test', ['first']);
+			builder.requireArguments('Test', ['argument']);
+
+			const container = await builder.build().createContainer('Test', 'argument');
+
+			await assertBeans(container, {
+				'first': STUB_VALUE
+			});
+		});
+
+		it('throws creating container without required beans', async function () {
+			const moduleWiring = new WiringBuilder()
+			.adjustContainer('Test', () => {})
+			.requireBeans('Test', ['first', 'second'])
+			.declareModule('module')
+			.build();
+			const builder = new WiringBuilder(moduleWiring);
+			builder.adjustContainer('Test', registerBeans({'first': STUB_VALUE}));
+
+			const promise = builder.build().createContainer('Test');
+
+			await expect(promise).to.be.rejectedWith(RangeError,
+					"unmet requirements creating Test container:\n" +
+					"  bean 'second' required by module 'module' is not registered");
+		});
+
+		it('throws creating container without provided beans', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', () => {});
+			builder.provideBeans('Test', ['first']);
+
+			const promise = builder.build().createContainer('Test');
+
+			await expect(promise).to.be.rejectedWith(RangeError,
+					"bean 'first' provided by wiring is not registered");
+		});
+
+		it('throws creating container without required arguments', async function () {
+			let called = false;
+
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', () => {
+				called = true;
+			});
+			builder.requireArguments('Test', ['first', 'second']);
+
+			const promise = builder.build().createContainer('Test', 'first');
+
+			await expect(promise).to.be.rejectedWith(RangeError,
+					"argument 'second' (#2) required by wiring was not passed");
+			expect(called).to.be.false;
+		});
+
+		it('lists all unmet requirements', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', () => {});
+			builder.requireBeans('Test', ['first', 'second']);
+
+			const error = await builder.build().createContainer('Test').catch((e) => e);
+
+			expect(error.unmetContracts.map((contract) => contract.name))
+			.to.deep.equal(['first', 'second']);
+		});
+
+		it('checks contracts for descendant container types', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Parent.Child', () => {});
+			builder.requireBeans('Parent', ['bean']);
+
+			const promise = builder.build().createContainer('Parent.Child');
+
+			await expect(promise).to.be.rejectedWith(RangeError, "bean 'bean'");
+		});
+
+		it('checks required beans in other containers', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Parent', registerBeans({'bean': STUB_VALUE}));
+			builder.adjustContainer('Parent', registerContainer('child', 'Child'));
+			builder.adjustContainer('Child', async (container, parent) => {
+				const { register, value } = container;
+				register('parent', value(parent));
+			});
+			builder.requireBeans('Child', ['parent.bean']);
+
+			const parent = await builder.build().createContainer('Parent');
+			const child = await parent.get('child');
+
+			expect(child.containerType).to.equal('Child');
+		});
+
+		it('checks contracts from wiring supplied by wiring adjusters', async function () {
+			const builder = builderWithContainerType('Test');
+			builder.adjustBaseWiring(async (addWiring) => {
+				addWiring(new WiringBuilder().requireBeans('Test', ['bean']).build());
+			});
+
+			const promise = builder.build().createContainer('Test');
+
+			await expect(promise).to.be.rejectedWith(RangeError, "bean 'bean'");
+		});
+
+		it('checks contracts of modules added repeatedly once', async function () {
+			const moduleWiring = () => new WiringBuilder()
+			.adjustContainer('Test', () => {})
+			.requireBeans('Test', ['bean'])
+			.declareModule('module')
+			.build();
+			const builder = new WiringBuilder(moduleWiring());
+			builder.addWiring(moduleWiring());
+
+			const error = await builder.build().createContainer('Test').catch((e) => e);
+
+			expect(error.unmetContracts).to.have.lengthOf(1);
+		});
+
+	});
+
+	describe('for contributions', function () {
+
+		it('throws contributing without valid arguments', async function () {
+			const builder = new WiringBuilder();
+
+			expect(() => builder.contributeToList('.Test', 'routes', 'users', value('/users')))
+			.to.throw(TypeError);
+			expect(() => builder.contributeToList('Test', '', 'users', value('/users')))
+			.to.throw(TypeError);
+			expect(() => builder.contributeToMap('Test', 'routes', { priority: 1 }, value('/u')))
+			.to.throw(TypeError);
+		});
+
+		it('collects contributions from added wiring and wiring adjusters', async function () {
+			const builder = new WiringBuilder(new WiringBuilder()
+			.contributeToList('Test', 'routes', 'users', value('/users'))
+			.build());
+			builder.adjustBaseWiring(async (addWiring) => {
+				addWiring(new WiringBuilder()
+				.contributeToList('Test', 'routes', { name: 'home', before: ['users'] },
+						value('/'))
+				.build());
+			});
+			builder.contributeToList('Test', 'routes', 'orders', value('/orders'));
+
+			const container = await builder.build().createContainer('Test');
+
+			expect(await container.get('routes')).to.deep.equal(['/', '/users', '/orders']);
+		});
+
+		it('contributes to descendant container types', async function () {
+			const builder = new WiringBuilder();
+			builder.contributeToMap('Test', 'services', 'database', value(STUB_VALUE));
+			builder.contributeToMap('Test.Child', 'services', 'mailer', value(ANOTHER_VALUE));
+
+			const container = await builder.build().createContainer('Test');
+			const child = await builder.build().createContainer('Test.Child');
+
+			expect(await container.get('services')).to.deep.equal({ database: STUB_VALUE });
+			expect(await child.get('services'))
+			.to.deep.equal({ database: STUB_VALUE, mailer: ANOTHER_VALUE });
+		});
+
+		it('excludes contributions by name', async function () {
+			const builder = new WiringBuilder(new WiringBuilder()
+			.contributeToList('Test', 'routes', 'users', value('/users'))
+			.contributeToList('Test', 'routes', 'orders', value('/orders'))
+			.build());
+			builder.exclude('routes#orders');
+
+			const container = await builder.build().createContainer('Test');
+
+			expect(await container.get('routes')).to.deep.equal(['/users']);
+		});
+
+	});
+
+	describe('for exclusion', function () {
+
+		it('throws excluding without valid names', async function () {
+			const builder = new WiringBuilder();
+
+			expect(() => builder.exclude()).to.throw(TypeError);
+			expect(() => builder.exclude('')).to.throw(TypeError);
+			expect(() => builder.exclude(['adjuster'])).to.throw(TypeError);
+		});
+
+		it('excludes container adjuster by name from every container type', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', function excluded(container) {
+				return registerBeans({ 'bean': STUB_VALUE })(container);
+			});
+			builder.adjustContainer('Test.Child', registerBeans({ 'child': ANOTHER_VALUE }));
+
+			const imported = new WiringBuilder(builder.build());
+			imported.exclude('excluded');
+
+			await buildAndAssertBeans(imported, 'Test', {
+				'bean': null
+			});
+			await buildAndAssertBeans(imported, 'Test.Child', {
+				'bean': null,
+				'child': ANOTHER_VALUE
+			});
+		});
+
+		it('excludes wiring adjuster by name', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', () => {});
+			builder.adjustBaseWiring(async function excluded(addWiring) {
+				addWiring(wiringToAdjustContainer('Test', registerBeans({ 'bean': STUB_VALUE })));
+			});
+			builder.exclude('excluded');
+
+			await buildAndAssertBeans(builder, 'Test', {
+				'bean': null
+			});
+			expect(builder.build().describe().pendingWiringAdjusters).to.deep.equal([]);
+		});
+
+		it('excludes adjusters and contracts of module', async function () {
+			const moduleWiring = new WiringBuilder()
+			.adjustContainer('Test', registerBeans({ 'bean': STUB_VALUE }))
+			.requireBeans('Test', ['missing'])
+			.declareModule('module')
+			.build();
+			const builder = new WiringBuilder(moduleWiring);
+			builder.adjustContainer('Test', registerBeans({ 'another': ANOTHER_VALUE }));
+			builder.exclude('module');
+
+			await buildAndAssertBeans(builder, 'Test', {
+				'bean': null,
+				'another': ANOTHER_VALUE
+			});
+		});
+
+		it('excludes adjusters from wiring added later', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', () => {});
+			builder.exclude('excluded');
+			builder.addWiring(wiringToAdjustContainer('Test', function excluded(container) {
+				return registerBeans({ 'bean': STUB_VALUE })(container);
+			}));
+
+			await buildAndAssertBeans(builder, 'Test', {
+				'bean': null
+			});
+		});
+
+		it('excludes adjusters from wiring supplied by wiring adjusters', async function () {
+			const moduleWiring = new WiringBuilder()
+			.adjustContainer('Test', registerBeans({ 'bean': STUB_VALUE }))
+			.declareModule('module')
+			.build();
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Primer', registerContainer('testContainer', 'Test'));
+			builder.adjustWiringAfter('Primer', async (addWiring) => {
+				addWiring(moduleWiring);
+				addWiring(wiringToAdjustContainer('Test', registerBeans({
+					'another': ANOTHER_VALUE
+				})));
+			});
+			builder.exclude('module');
+
+			await buildAndAssertSubsequentBeans(builder, 'Primer', 'testContainer', {
+				'bean': null,
+				'another': ANOTHER_VALUE
+			});
+		});
+
+		it('keeps exclusions in imported wiring', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', () => {});
+			builder.exclude('excluded');
+
+			const imported = new WiringBuilder(builder.build());
+			imported.addWiring(wiringToAdjustContainer('Test', function excluded(container) {
+				return registerBeans({ 'bean': STUB_VALUE })(container);
+			}));
+
+			await buildAndAssertBeans(imported, 'Test', {
+				'bean': null
+			});
+		});
+
+	});
+
+	describe('for ordering', function () {
+
+		it('throws adjusting container with invalid ordering', async function () {
+			const builder = new WiringBuilder();
+
+			expect(() => builder.adjustContainer('Test', () => {}, 'first')).to.throw(TypeError);
+			expect(() => builder.adjustContainer('Test', () => {}, { after: 'first' }))
+			.to.throw(TypeError);
+			expect(() => builder.adjustContainer('Test', () => {}, { priority: NaN }))
+			.to.throw(TypeError);
+		});
+
+		it('calls adjuster after and before named adjusters', async function () {
+			const calls = [];
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', function last() {
+				calls.push('last');
+			}, { after: ['middle'] });
+			builder.adjustContainer('Test', function middle() {
+				calls.push('middle');
+			});
+			builder.adjustContainer('Test', function first() {
+				calls.push('first');
+			}, { before: ['middle'] });
+
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.deep.equal(['first', 'middle', 'last']);
+		});
+
+		it('calls adjuster after adjusters in named module', async function () {
+			const calls = [];
+			const moduleWiring = new WiringBuilder()
+			.adjustContainer('Test', function moduleAdjuster() {
+				calls.push('module');
+			})
+			.declareModule('module')
+			.build();
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', function override() {
+				calls.push('override');
+			}, { after: ['module'] });
+			builder.addWiring(moduleWiring);
+
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.deep.equal(['module', 'override']);
+		});
+
+		it('calls adjusters with lower priority first', async function () {
+			const calls = [];
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', function late() {
+				calls.push('late');
+			}, { priority: 10 });
+			builder.adjustContainer('Test', function early() {
+				calls.push('early');
+			}, { priority: -10 });
+			builder.adjustContainer('Test', function unprioritised() {
+				calls.push('unprioritised');
+			});
+
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.deep.equal(['early', 'unprioritised', 'late']);
+		});
+
+		it('honours constraints over priority', async function () {
+			const calls = [];
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', function late() {
+				calls.push('late');
+			}, { priority: 10 });
+			builder.adjustContainer('Test', function early() {
+				calls.push('early');
+			}, { after: ['late'] });
+
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.deep.equal(['late', 'early']);
+		});
+
+		it('orders adjusters supplied by wiring adjusters', async function () {
+			const calls = [];
+			const builder = new WiringBuilder();
+			builder.adjustBaseWiring(async (addWiring) => {
+				addWiring(new WiringBuilder()
+				.adjustContainer('Test', function supplied() {
+					calls.push('supplied');
+				}, { after: ['direct'] })
+				.build());
+			});
+			builder.adjustContainer('Test', function direct() {
+				calls.push('direct');
+			});
+
+			await builder.build().createContainer('Test');
+
+			expect(calls).to.deep.equal(['direct', 'supplied']);
+		});
+
+		it('ignores constraints referring to absent adjusters', async function () {
+			await buildAndAssertBeans(new WiringBuilder()
+			.adjustContainer('Test', registerBeans({ 'bean': STUB_VALUE }), { after: ['absent'] }),
+			'Test', {
+				'bean': STUB_VALUE
+			});
+		});
+
+		it('throws creating container with contradictory constraints', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', function first() {}, { before: ['second'] });
+			builder.adjustContainer('Test', function second() {}, { before: ['third'] });
+			builder.adjustContainer('Test', function third() {}, { before: ['first'] });
+
+			await expect(builder.build().createContainer('Test')).to.be.rejectedWith(RangeError,
+					"contradictory ordering constraints for Test container adjusters: " +
+					"first -> second -> third -> first (each must run before the next)");
+		});
+
+		it('describes ordering constraints', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', function ordered() {}, { after: ['other'] });
+
+			const description = builder.build().describe();
+
+			expect(adjustersOf(description, 'Test')).to.deep.equal([
+				{ name: 'ordered', module: null, wiringAdjuster: false, position: 1,
+						ordering: { before: [], after: ['other'], priority: 0 } }
+			]);
+		});
+
+	});
+
+	describe('description', function () {
+
+		it('describes container type hierarchy', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Parent', () => {});
+			builder.adjustContainer('Parent.Child.Grandchild', () => {});
+			builder.adjustContainer('Other', () => {});
+
+			const description = builder.build().describe();
+
+			expect(description.containerTypes.map(({ containerType, parent }) => ({
+				containerType, parent
+			}))).to.deep.equal([
+				{ containerType: 'Parent', parent: null },
+				{ containerType: 'Parent.Child.Grandchild', parent: 'Parent' },
+				{ containerType: 'Other', parent: null }
+			]);
+		});
+
+		it('describes adjusters in order including ancestors', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Parent', function parentAdjuster() {});
+			builder.adjustContainer('Parent.Child', function childAdjuster() {});
+			builder.adjustContainer('Parent', function anotherParentAdjuster() {});
+
+			const description = builder.build().describe();
+
+			expect(adjustersOf(description, 'Parent.Child')).to.deep.equal([
+				{ name: 'parentAdjuster', module: null, wiringAdjuster: false, position: 1 },
+				{ name: 'childAdjuster', module: null, wiringAdjuster: false, position: 2 },
+				{ name: 'anotherParentAdjuster', module: null, wiringAdjuster: false,
+						position: 3 }
+			]);
+		});
+
+		it('describes each adjuster only once', async function () {
+			const builder = new WiringBuilder();
+			const adjuster = function adjuster() {};
+			builder.adjustContainer('Test', adjuster);
+			builder.adjustContainer('Test', adjuster);
+
+			const description = builder.build().describe();
+
+			expect(adjustersOf(description, 'Test')).to.deep.equal([
+				{ name: 'adjuster', module: null, wiringAdjuster: false, position: 1 }
+			]);
+		});
+
+		it('describes wiring adjusters which have not been gathered', async function () {
+			const builder = builderWithContainerType('Test');
+			builder.adjustBaseWiring(async function baseAdjuster() {});
+			builder.adjustWiringAfter('Test', async function afterAdjuster() {});
+
+			const description = builder.build().describe();
+
+			expect(adjustersOf(description, 'Test').slice(1)).to.deep.equal([
+				{ name: 'baseAdjuster', module: null, wiringAdjuster: true, gathered: false,
+						suppliedAdjusters: [] },
+				{ name: 'afterAdjuster', module: null, wiringAdjuster: true, gathered: false,
+						suppliedAdjusters: [] }
+			]);
+			expect(description.pendingWiringAdjusters).to.deep.equal([
+				{ name: 'baseAdjuster', module: null, after: null },
+				{ name: 'afterAdjuster', module: null, after: 'Test' }
+			]);
+		});
+
+		it('describes gathered wiring adjusters with supplied adjusters', async function () {
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Primer', registerContainer('testContainer', 'Test'));
+			builder.adjustWiringAfter('Primer', async function primerWiring(addWiring) {
+				addWiring(wiringToAdjustContainer('Test', function suppliedAdjuster() {}));
+			});
+
+			const primer = await builder.build().createContainer('Primer');
+			const description = (await primer.get('wiring')).describe();
+
+			expect(adjustersOf(description, 'Test')).to.deep.equal([
+				{ name: 'primerWiring', module: null, wiringAdjuster: true, gathered: true,
+						suppliedAdjusters: [
+							{ name: 'suppliedAdjuster', module: null, wiringAdjuster: false,
+									position: 1 }
+						] }
+			]);
+			expect(description.pendingWiringAdjusters).to.deep.equal([]);
+		});
+
+		it('describes modules adjusters belong to', async function () {
+			const moduleWiring = new WiringBuilder()
+			.adjustContainer('Test', function moduleAdjuster() {})
+			.declareModule('module')
+			.build();
+			const builder = new WiringBuilder(moduleWiring);
+			builder.adjustContainer('Test', function testAdjuster() {});
+
+			const description = builder.build().describe();
+
+			expect(adjustersOf(description, 'Test')).to.deep.equal([
+				{ name: 'moduleAdjuster', module: 'module', wiringAdjuster: false, position: 1 },
+				{ name: 'testAdjuster', module: null, wiringAdjuster: false, position: 2 }
+			]);
+		});
+
+		it('describes adjusters in the order they will be called', async function () {
+			const log = [];
+			const builder = new WiringBuilder();
+			builder.adjustContainer('Test', function a() {
+				log.push('a');
+			}, { after: ['b'] });
+			builder.adjustContainer('Test', function b() {
+				log.push('b');
+			});
+			builder.adjustContainer('Test', function c() {
+				log.push('c');
+			}, { priority: -1 });
+			const wiring = builder.build();
+
+			const description = wiring.describe();
+			await wiring.createContainer('Test');
+
+			expect(adjustersOf(description, 'Test').map(({ name, position }) =>
+					({ name, position }))).to.deep.equal([
+				{ name: 'c', position: 1 },
+				{ name: 'b', position: 2 },
+				{ name: 'a', position: 3 }
+			]);
+			expect(log).to.deep.equal(['c', 'b', 'a']);
+		});
+
+		it('throws declaring module without name', async function () {
+			const builder = new WiringBuilder();
+
+			expect(() => builder.declareModule('')).to.throw(TypeError);
+		});
+
+		it('produces plain JSON', async function () {
+			const builder = builderWithContainerType('Test');
+			builder.adjustBaseWiring(wiringAdjusterToAdjustContainer('Test', () => {}));
+			const wiring = builder.build();
+
+			const description = wiring.describe();
+
+			expect(JSON.parse(JSON.stringify(description))).to.deep.equal(description);
+		});
+
+	});
+
 	describe('mutability and subclassing', function () {
 
 		it('builder mutations do not affect built wiring', async function () {
@@ -625,6 +1453,108 @@ describe('wiring', function () {
 			});
 		});
 
+		it('builder mutations after building again do not affect built wiring', async function () {
+			const builder = builderWithContainerType('Test');
+			const wiring = builder.build();
+			await wiring.createContainer('Test');
+
+			builder.adjustContainer('Test', registerBeans({'bean': STUB_VALUE}));
+			const anotherWiring = builder.build();
+
+			await assertBeans(await wiring.createContainer('Test'), {
+				'bean': null
+			});
+			await assertBeans(await anotherWiring.createContainer('Test'), {
+				'bean': STUB_VALUE
+			});
+		});
+
+		it('container factory works out adjusters only once', async function () {
+			const builder = builderWithContainerType('Test');
+			builder.adjustBaseWiring(wiringAdjusterToAdjustContainer('Test', () => {}));
+			const factory = await builder.build().createContainerFactory('Test');
+
+			const flatten = Wiring.prototype._getFlattenedContainerAdjusters;
+			let flattenings = 0;
+			Wiring.prototype._getFlattenedContainerAdjusters = function (...args) {
+				flattenings++;
+				return flatten.apply(this, args);
+			};
+			try {
+				await factory();
+				const flatteningsForFirstContainer = flattenings;
+				await factory();
+				await factory();
+
+				expect(flatteningsForFirstContainer).to.be.above(0);
+				expect(flattenings).to.equal(flatteningsForFirstContainer);
+			} finally {
+				Wiring.prototype._getFlattenedContainerAdjusters = flatten;
+			}
+		});
+
+		it('built wiring cannot be mutated', async function () {
+			const wiring = builderWithContainerType('Test').build();
+
+			expect(Object.isFrozen(wiring)).to.be.true;
+			expect(() => wiring._adjustContainer('Test', () => {})).to.throw(TypeError, /immutable/);
+			expect(Object.isFrozen(wiring.withAutoStubs())).to.be.true;
+		});
+
+		it('state shared by built wiring cannot be mutated', async function () {
+			const builder = builderWithContainerType('Test');
+			builder.adjustContainer('Test', registerBeans({ bean: 'bean' }));
+			builder.adjustWiringAfter('Test', () => {});
+			builder.provideBeans('Test', ['bean']);
+			builder.exclude('excluded');
+			const wiring = builder.build();
+
+			await wiring.createContainer('Test');
+
+			expectStateFrozen(wiring);
+		});
+
+		it('wiring bean only creates containers and describes wiring', async function () {
+			const wiring = builderWithContainerType('Test').build();
+
+			const container = await wiring.createContainer('Test');
+
+			const wiringFromContainer = await container.get('wiring');
+			expect(() => wiringFromContainer._adjustContainer).to.throw(TypeError,
+					"wiring bean has no '_adjustContainer'; it can only be used to create " +
+					"containers, and only has createContainer, createContainerFactory, describe");
+			expect(() => {
+				wiringFromContainer.autoStubs = null;
+			}).to.throw(TypeError, /cannot be modified/);
+			expect(wiringFromContainer.describe().containerTypes).to.have.lengthOf(1);
+
+			const { createContainer } = wiringFromContainer;
+			const anotherContainer = await createContainer('Test');
+			expect(anotherContainer.containerType).to.equal('Test');
+		});
+
+		it('wiring bean can be converted but not inspected', async function () {
+			const wiring = builderWithContainerType('Test').build();
+
+			const container = await wiring.createContainer('Test');
+
+			const wiringFromContainer = await container.get('wiring');
+			expect(JSON.stringify(wiringFromContainer)).to.equal('{}');
+			expect(String(wiringFromContainer)).to.equal('[object Object]');
+			expect(`${wiringFromContainer}`).to.equal('[object Object]');
+			expect(util.inspect(wiringFromContainer)).to.equal('Wiring {}');
+		});
+
+		it('throws adding wiring bean to wiring', async function () {
+			const wiring = builderWithContainerType('Test').build();
+
+			const container = await wiring.createContainer('Test');
+
+			const wiringFromContainer = await container.get('wiring');
+			expect(() => new WiringBuilder().addWiring(wiringFromContainer))
+			.to.throw(TypeError, /wiring bean has no/);
+		});
+
 		it('built wiring is the same subclass as imported wiring', async function () {
 			const builder = new WiringBuilder(new SubclassedWiring());
 
@@ -701,6 +1631,28 @@ function builderWithContainerType(containerType) {
 	return builder;
 }
 
+/*
+ * Arrays and plain objects must be frozen, all the way down (through maps, which can't be).
+ */
+function expectStateFrozen(wiring) {
+	const expectFrozen = (value) => {
+		if (value instanceof Map) {
+			return value.forEach(expectFrozen);
+		}
+
+		if (!Array.isArray(value) && (typeof value !== 'object' || value === null ||
+				Object.getPrototypeOf(value) !== Object.prototype)) {
+			return;
+		}
+
+		expect(Object.isFrozen(value)).to.be.true;
+		Object.values(value).forEach(expectFrozen);
+	};
+
+	expect(Object.isFrozen(wiring)).to.be.true;
+	Object.values(wiring).forEach(expectFrozen);
+}
+
 function registerBeans(beans) {
 	return async (container) => {
 		const { register, value } = container;
@@ -744,6 +1696,12 @@ function wiringToAdjustBaseWiring(containerType, containerAdjuster) {
 	.build();
 }
 
+function adjustersOf(description, containerType) {
+	return description.containerTypes
+	.find((described) => described.containerType === containerType)
+	.adjusters;
+}
+
 async function assertBeans(container, beans) {
 	for (const [name, value] of Object.entries(beans)) {
 		if (value === null) {
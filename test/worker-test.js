@@ -0,0 +1,288 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const { StructuredWiringBuilder, currentScope } = require("../src/structured-wiring");
+const { InMemoryJobQueue, workerWiring } = require("../src/worker");
+const { Resource, until } = require("./fixtures");
+
+describe('worker', function () {
+
+	it('throws creating worker wiring with invalid options', async function () {
+		expect(() => workerWiring({ concurrency: 0 })).to.throw(TypeError);
+		expect(() => workerWiring({ maxAttempts: 1.5 })).to.throw(TypeError);
+		expect(() => workerWiring({ backoff: 100 })).to.throw(TypeError);
+		expect(() => workerWiring({ handler: '' })).to.throw(TypeError);
+		expect(() => workerWiring({ reportError: null })).to.throw(TypeError);
+	});
+
+	it('throws creating worker without job source', async function () {
+		const builder = new StructuredWiringBuilder(workerWiring());
+
+		await expect(builder.build().createAppContainer()).to.be.rejectedWith("jobSource");
+	});
+
+	it('handles each job in job container, disposing it', async function () {
+		const log = [];
+		const queue = new InMemoryJobQueue(['first', 'second']);
+		const builder = new StructuredWiringBuilder(workerWiring());
+		addQueues(builder, queue);
+		builder.adjustScopeContainer('Job', async (container) => {
+			const { register, constructor, factory, value } = container;
+			register('resource', constructor(Resource), value(log), 'job');
+			register('jobHandler', factory((resource) => async () => {
+				log.push(`handle ${await currentScope('Job').get('job')}`);
+			}), 'resource');
+		});
+
+		const lifecycle = await startWorker(builder);
+		await until(() => log.length === 4);
+		await lifecycle.stop();
+
+		expect(log).to.deep.equal(['handle first', 'close first', 'handle second',
+			'close second']);
+	});
+
+	it('handles no more jobs at a time than concurrency', async function () {
+		let active = 0;
+		let maxActive = 0;
+		const handled = [];
+		const queue = new InMemoryJobQueue([1, 2, 3, 4, 5]);
+		const builder = new StructuredWiringBuilder(workerWiring({ concurrency: 2 }));
+		addQueues(builder, queue);
+		builder.adjustScopeContainer('Job', async (container) => {
+			const { register, factory } = container;
+			register('jobHandler', factory((job) => async () => {
+				active++;
+				maxActive = Math.max(maxActive, active);
+				await new Promise((resolve) => setTimeout(resolve, 2));
+				active--;
+				handled.push(job);
+			}), 'job');
+		});
+
+		const lifecycle = await startWorker(builder);
+		await until(() => handled.length === 5);
+		await lifecycle.stop();
+
+		expect(maxActive).to.equal(2);
+		expect(handled.slice().sort()).to.deep.equal([1, 2, 3, 4, 5]);
+	});
+
+	it('retries failing job with backoff, then sends it to dead-letter sink', async function () {
+		const attempts = [];
+		const backoffs = [];
+		const errors = [];
+		const queue = new InMemoryJobQueue(['doomed', 'flaky']);
+		const deadLetters = new InMemoryJobQueue();
+		const builder = new StructuredWiringBuilder(workerWiring({
+			backoff: (attempt) => {
+				backoffs.push(attempt);
+				return 1;
+			},
+			reportError: (error, job) => errors.push(`${job}: ${error.message}`)
+		}));
+		addQueues(builder, queue, deadLetters);
+		builder.adjustScopeContainer('Job', async (container) => {
+			const { register, factory } = container;
+			register('jobHandler', factory((job, attempt) => async () => {
+				attempts.push(`${job} ${attempt}`);
+				if (job === 'doomed' || attempt === 1) {
+					throw new Error("failed");
+				}
+			}), 'job', 'attempt');
+		});
+
+		const lifecycle = await startWorker(builder);
+		await until(() => deadLetters.jobs.length === 1 && attempts.length === 5);
+		await lifecycle.stop();
+
+		expect(attempts).to.deep.equal(['doomed 1', 'doomed 2', 'doomed 3', 'flaky 1',
+			'flaky 2']);
+		expect(backoffs).to.deep.equal([1, 2, 1]);
+		expect(errors).to.deep.equal(['doomed: failed', 'doomed: failed', 'doomed: failed',
+			'flaky: failed']);
+		expect(deadLetters.jobs).to.deep.equal(['doomed']);
+	});
+
+	it('stops pulling jobs and waits for jobs in progress', async function () {
+		const log = [];
+		const queue = new InMemoryJobQueue(['first']);
+		const builder = new StructuredWiringBuilder(workerWiring());
+		addQueues(builder, queue);
+		builder.adjustScopeContainer('Job', async (container) => {
+			const { register, factory } = container;
+			register('jobHandler', factory((job) => async () => {
+				await new Promise((resolve) => setTimeout(resolve, 5));
+				log.push(`handle ${job}`);
+			}), 'job');
+		});
+
+		const lifecycle = await startWorker(builder);
+		await until(() => queue.jobs.length === 0);
+		await lifecycle.stop();
+		queue.add('second');
+
+		expect(log).to.deep.equal(['handle first']);
+		expect(queue.jobs).to.deep.equal(['second']);
+	});
+
+	it('stops pulling jobs when app container is disposed', async function () {
+		const log = [];
+		const queue = new InMemoryJobQueue(['first']);
+		const builder = new StructuredWiringBuilder(workerWiring());
+		addQueues(builder, queue);
+		builder.adjustScopeContainer('Job', async (container) => {
+			const { register, factory } = container;
+			register('jobHandler', factory((job) => async () => {
+				await new Promise((resolve) => setTimeout(resolve, 5));
+				log.push(`handle ${job}`);
+			}), 'job');
+		});
+
+		const appContainer = await builder.build().createAppContainer();
+		await (await appContainer.get('lifecycle')).start();
+		await until(() => queue.jobs.length === 0);
+		await appContainer.dispose();
+		queue.add('second');
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(log).to.deep.equal(['handle first']);
+		expect(queue.jobs).to.deep.equal(['second']);
+	});
+
+	it('keeps pulling jobs after source has none for now', async function () {
+		const handled = [];
+		const backoffs = [];
+		const queue = new InMemoryJobQueue(['job']);
+		const results = [null, undefined];
+		const jobSource = {
+			next: (options) => results.length ? results.shift() : queue.next(options)
+		};
+		const builder = new StructuredWiringBuilder(workerWiring({
+			backoff: (attempt) => {
+				backoffs.push(attempt);
+				return 1;
+			}
+		}));
+		addQueues(builder, jobSource);
+		builder.adjustScopeContainer('Job', async (container) => {
+			const { register, factory } = container;
+			register('jobHandler', factory((job) => async () => {
+				handled.push(job);
+			}), 'job');
+		});
+
+		const lifecycle = await startWorker(builder);
+		await until(() => handled.length === 1);
+		await lifecycle.stop();
+
+		expect(handled).to.deep.equal(['job']);
+		expect(backoffs).to.deep.equal([1, 1]);
+	});
+
+	it('backs off asking closed queue for jobs until stopped', async function () {
+		let asked = 0;
+		const queue = new InMemoryJobQueue();
+		const jobSource = {
+			next: (options) => {
+				asked++;
+				return queue.next(options);
+			}
+		};
+		queue.close();
+		const builder = new StructuredWiringBuilder(workerWiring({ backoff: () => 10000 }));
+		addQueues(builder, jobSource);
+
+		const lifecycle = await startWorker(builder);
+		await new Promise((resolve) => setTimeout(resolve, 5));
+		await lifecycle.stop();
+
+		expect(asked).to.equal(1);
+	});
+
+	it('reports errors backing off, ending handling of job', async function () {
+		const errors = [];
+		const queue = new InMemoryJobQueue(['job']);
+		const builder = new StructuredWiringBuilder(workerWiring({
+			backoff: () => {
+				throw new Error("no backoff");
+			},
+			reportError: (error, job) => errors.push(`${job}: ${error.message}`)
+		}));
+		addQueues(builder, queue);
+		builder.adjustScopeContainer('Job', async (container) => {
+			const { register, value } = container;
+			register('jobHandler', value(async () => {
+				throw new Error("failed");
+			}));
+		});
+
+		const lifecycle = await startWorker(builder);
+		await until(() => errors.length === 2);
+		await lifecycle.stop();
+
+		expect(errors).to.deep.equal(['job: failed', 'job: no backoff']);
+	});
+
+	it('writes errors from throwing error reporter to console', async function () {
+		const logged = [];
+		const queue = new InMemoryJobQueue(['job']);
+		const builder = new StructuredWiringBuilder(workerWiring({
+			maxAttempts: 1,
+			reportError: () => {
+				throw new Error("unreportable");
+			}
+		}));
+		addQueues(builder, queue);
+		builder.adjustScopeContainer('Job', async (container) => {
+			const { register, value } = container;
+			register('jobHandler', value(async () => {
+				throw new Error("failed");
+			}));
+		});
+
+		const consoleError = console.error;
+		console.error = (error) => logged.push(error.message);
+		try {
+			const lifecycle = await startWorker(builder);
+			await until(() => logged.length === 1);
+			await lifecycle.stop();
+		} finally {
+			console.error = consoleError;
+		}
+
+		expect(logged).to.deep.equal(['unreportable']);
+		expect(queue.jobs).to.deep.equal([]);
+	});
+
+	it('ends waiting for next job when in-memory queue is closed', async function () {
+		const queue = new InMemoryJobQueue();
+
+		const next = queue.next();
+		queue.close();
+
+		expect(await next).to.be.null;
+		expect(() => queue.add('job')).to.throw(RangeError);
+	});
+
+});
+
+function addQueues(builder, jobSource, deadLetterSink = new InMemoryJobQueue()) {
+	builder.adjustAppContainer(async (container) => {
+		const { register, value } = container;
+		register('jobSource', value(jobSource));
+		register('deadLetterSink', value(deadLetterSink));
+	});
+}
+
+async function startWorker(builder) {
+	const appContainer = await builder.build().createAppContainer();
+	const lifecycle = await appContainer.get('lifecycle');
+	await lifecycle.start();
+
+	return lifecycle;
+}